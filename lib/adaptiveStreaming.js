@@ -1,27 +1,146 @@
 /**
  * Adaptive Streaming Module
  * Manages LOD (Level of Detail) selection based on client bandwidth
+ *
+ * The choice itself is made by a pluggable ABR strategy: any object with a
+ * `name` and a `chooseLOD(state)` method (see chooseLOD for the state). The
+ * strategy is picked per client, else per room, else the default.
  */
 
+const ThroughputRule = require('./throughputRule');
+const BolaRule = require('./bolaRule');
+
+// Conventional LOD names, smallest first; other names rank after them
+const NOMINAL_LODS = ['low', 'medium', 'high'];
+
+/**
+ * Position of a LOD name in the conventional low < medium < high order
+ * @param {string} lod - LOD level
+ * @returns {number} Rank (NOMINAL_LODS.length for other names)
+ */
+function nominalRank(lod) {
+  const rank = NOMINAL_LODS.indexOf(lod);
+  return rank === -1 ? NOMINAL_LODS.length : rank;
+}
+
 class AdaptiveStreamingManager {
-  constructor() {
+  /**
+   * @param {Object} options - Manager settings
+   * @param {string} options.defaultStrategy - ABR strategy for clients and rooms without one ('throughput')
+   */
+  constructor(options = {}) {
     // Client bandwidth tracking: clientId -> bandwidth metrics
     this.clientMetrics = new Map();
 
-    // Bandwidth thresholds (in bytes per second)
+    // Bandwidth thresholds (in bytes per second), used when an asset's LOD sizes
+    // are unknown; below MEDIUM the low LOD is used
     this.THRESHOLDS = {
       HIGH: 500000,  // 500 KB/s - use high LOD
-      LOW: 100000    // 100 KB/s - use low LOD
+      MEDIUM: 100000 // 100 KB/s - use medium LOD
     };
 
+    // Time-to-first-render target: how long a LOD may take to arrive
+    this.TARGET_TIME_TO_RENDER_MS = 5000;
+
     // Smoothing factor for bandwidth estimation (exponential moving average)
     this.SMOOTHING_FACTOR = 0.3;
 
     // Minimum samples before making LOD decisions
     this.MIN_SAMPLES = 2;
 
+    // Switch damping for LOD recommendations, so bandwidth swings around a rung
+    // do not trigger a re-download each time
+    this.HYSTERESIS = 0.2;           // A switch must still hold with the estimate 20% against it
+    this.UPGRADE_DWELL_MS = 10000;   // Minimum time on a LOD before recommending a higher one
+    this.DOWNGRADE_DWELL_MS = 3000;  // ...and before recommending a lower one
+    this.SWITCH_COST = 1;            // Utility gain an upgrade needs per TARGET_TIME_TO_RENDER_MS of re-download
+
+    // Last recommendation per client: clientId -> { assetId, lod, since }
+    this.recommendations = new Map();
+
+    // Longest a progressive refinement (next LOD up) may be expected to take
+    this.UPGRADE_BUDGET_MS = 10000;
+
     // Bandwidth simulation state per client: clientId -> { enabled: boolean }
     this.simulationState = new Map();
+
+    // ABR strategies by name, and the choices made per room and per client
+    this.strategies = new Map();
+    this.roomStrategies = new Map();
+    this.clientStrategies = new Map();
+
+    this.registerStrategy(new ThroughputRule());
+    this.registerStrategy(new BolaRule());
+    this.defaultStrategy = this.getKnownStrategy(options.defaultStrategy || 'throughput');
+  }
+
+  /**
+   * Add an ABR strategy (replaces one with the same name)
+   * @param {Object} strategy - { name, chooseLOD(state) }
+   */
+  registerStrategy(strategy) {
+    this.strategies.set(strategy.name, strategy);
+  }
+
+  /**
+   * List the registered ABR strategies
+   * @returns {Array<string>} Strategy names
+   */
+  getStrategyNames() {
+    return Array.from(this.strategies.keys());
+  }
+
+  /**
+   * Choose the ABR strategy for one client, overriding its room's
+   * @param {string} clientId - Client identifier
+   * @param {string|null} name - Strategy name, or null to follow the room again
+   * @throws {Error} If the strategy is not registered
+   */
+  setClientStrategy(clientId, name) {
+    if (name === null) {
+      this.clientStrategies.delete(clientId);
+    } else {
+      this.clientStrategies.set(clientId, this.getKnownStrategy(name));
+    }
+  }
+
+  /**
+   * Choose the ABR strategy for everyone in a room
+   * @param {string} room - Room identifier
+   * @param {string|null} name - Strategy name, or null to use the default again
+   * @throws {Error} If the strategy is not registered
+   */
+  setRoomStrategy(room, name) {
+    if (name === null) {
+      this.roomStrategies.delete(room);
+    } else {
+      this.roomStrategies.set(room, this.getKnownStrategy(name));
+    }
+  }
+
+  /**
+   * Get the ABR strategy that decides for a client
+   * @param {string} clientId - Client identifier
+   * @param {string} room - Room the client is in
+   * @returns {string} Strategy name (client choice, else room choice, else default)
+   */
+  getStrategy(clientId, room) {
+    return this.clientStrategies.get(clientId) ||
+      this.roomStrategies.get(room) ||
+      this.defaultStrategy;
+  }
+
+  /**
+   * Validate a strategy name
+   * @param {string} name - Strategy name
+   * @returns {string} The same name
+   * @throws {Error} If the strategy is not registered
+   */
+  getKnownStrategy(name) {
+    if (!this.strategies.has(name)) {
+      throw new Error(`Unknown ABR strategy: ${name} (available: ${this.getStrategyNames().join(', ')})`);
+    }
+    return name;
   }
 
   /**
@@ -86,52 +205,112 @@ class AdaptiveStreamingManager {
     return metrics ? metrics.currentBandwidth : 0;
   }
 
+  /**
+   * Order an asset's LODs into a ladder, smallest first
+   * Each rung carries the bandwidth needed to download it within
+   * TARGET_TIME_TO_RENDER_MS, so any number of levels can be ranked by their real
+   * byte sizes
+   * @param {Object|null} assetInfo - From AssetManager.getAssetInfo ({ lods, sizes });
+   *   null falls back to fixed low/medium/high THRESHOLDS
+   * @returns {Array<Object>} Rungs as { lod, bytes, bandwidth } (bytes is null
+   *   without sizes; bandwidth in bytes per second)
+   */
+  getLodLadder(assetInfo) {
+    if (!assetInfo || assetInfo.lods.length === 0) {
+      return [
+        { lod: 'low', bytes: null, bandwidth: 0 },
+        { lod: 'medium', bytes: null, bandwidth: this.THRESHOLDS.MEDIUM },
+        { lod: 'high', bytes: null, bandwidth: this.THRESHOLDS.HIGH }
+      ];
+    }
+
+    return assetInfo.lods
+      .map((lod) => ({
+        lod: lod,
+        bytes: assetInfo.sizes[lod],
+        bandwidth: (assetInfo.sizes[lod] / this.TARGET_TIME_TO_RENDER_MS) * 1000
+      }))
+      // Equal sizes (e.g. LODs that are the same file) keep the nominal order
+      .sort((a, b) => a.bandwidth - b.bandwidth || nominalRank(a.lod) - nominalRank(b.lod));
+  }
+
+  /**
+   * Ask the client's ABR strategy for a LOD
+   * Strategies receive a state of:
+   *   ladder               - Rungs from getLodLadder, smallest first
+   *   bandwidth            - Estimated bandwidth in bytes per second
+   *   queuedBytes          - Bytes already queued for the client (streams and socket)
+   *   targetTimeToRenderMs - How long the LOD may take to arrive
+   * @param {string} clientId - Client identifier
+   * @param {Array<Object>} ladder - From getLodLadder
+   * @param {Object} context - { room, queuedBytes } from the server
+   * @param {number} bandwidth - Estimate to plan with (defaults to the client's)
+   * @returns {Object} { lod, strategy } chosen LOD and the strategy that chose it
+   */
+  chooseLOD(clientId, ladder, context, bandwidth = this.getEstimatedBandwidth(clientId)) {
+    const strategy = this.getStrategy(clientId, context.room);
+    const lod = this.strategies.get(strategy).chooseLOD({
+      ladder: ladder,
+      bandwidth: bandwidth,
+      queuedBytes: context.queuedBytes || 0,
+      targetTimeToRenderMs: this.TARGET_TIME_TO_RENDER_MS
+    });
+    return { lod, strategy };
+  }
+
   /**
    * Select appropriate LOD based on client bandwidth
    * @param {string} clientId - Client identifier
-   * @param {string} baseAssetId - Base asset identifier (e.g., 'sphere')
-   * @returns {string} Selected asset ID with appropriate LOD (e.g., 'sphere-high' or 'sphere-low')
+   * @param {Object|null} assetInfo - From AssetManager.getAssetInfo ({ lods, sizes })
+   * @param {Object} context - { room, queuedBytes } for the ABR strategy
+   * @returns {string} Selected LOD level (e.g. 'low', 'medium' or 'high')
    */
-  selectLOD(clientId, baseAssetId) {
-    // Force low LOD when bandwidth simulation is enabled
+  selectLOD(clientId, assetInfo, context = {}) {
+    const ladder = this.getLodLadder(assetInfo);
+    const lowest = ladder[0].lod;
+
+    // Force the lowest LOD when bandwidth simulation is enabled
     if (this.isSimulationEnabled(clientId)) {
-      console.log(`Client ${clientId}: Simulation mode ACTIVE, forcing low LOD`);
-      return `${baseAssetId}-low`;
+      console.log(`Client ${clientId}: Simulation mode ACTIVE, forcing ${lowest} LOD`);
+      return lowest;
+    }
+
+    // A re-request prompted by lod-recommendation downloads what was recommended
+    const recommendation = this.recommendations.get(clientId);
+    if (recommendation && assetInfo && recommendation.assetId === assetInfo.id) {
+      console.log(`Client ${clientId}: Following recommended ${recommendation.lod} LOD`);
+      return recommendation.lod;
     }
 
     const metrics = this.clientMetrics.get(clientId);
 
-    // Default to low LOD if no metrics available
+    // Default to the lowest LOD if no metrics available
     if (!metrics || metrics.samples < this.MIN_SAMPLES) {
-      console.log(`Client ${clientId}: Insufficient metrics, defaulting to low LOD`);
-      return `${baseAssetId}-low`;
+      console.log(`Client ${clientId}: Insufficient metrics, defaulting to ${lowest} LOD`);
+      return lowest;
     }
 
-    const bandwidth = metrics.currentBandwidth;
-
-    // Select LOD based on bandwidth thresholds
-    if (bandwidth >= this.THRESHOLDS.HIGH) {
-      console.log(`Client ${clientId}: High bandwidth (${bandwidth.toFixed(0)} B/s), selecting high LOD`);
-      return `${baseAssetId}-high`;
-    } else if (bandwidth >= this.THRESHOLDS.LOW) {
-      console.log(`Client ${clientId}: Medium bandwidth (${bandwidth.toFixed(0)} B/s), selecting low LOD`);
-      return `${baseAssetId}-low`;
-    } else {
-      console.log(`Client ${clientId}: Low bandwidth (${bandwidth.toFixed(0)} B/s), selecting low LOD`);
-      return `${baseAssetId}-low`;
-    }
+    const { lod, strategy } = this.chooseLOD(clientId, ladder, context);
+    console.log(`Client ${clientId}: Bandwidth ${metrics.currentBandwidth.toFixed(0)} B/s, ${strategy} rule selects ${lod} LOD`);
+    return lod;
   }
 
   /**
    * Get recommended LOD based on client-reported metrics
    * @param {string} clientId - Client identifier
    * @param {Object} clientReportedMetrics - Metrics reported by client
-   * @returns {string} Recommended LOD level ('high' or 'low')
+   * @param {Object|null} assetInfo - Asset the client is viewing (from AssetManager.getAssetInfo),
+   *   or null to use the fixed thresholds
+   * @param {Object} context - { room, queuedBytes } for the ABR strategy, and
+   *   currentLod: the LOD the client is showing (switches away from it are damped)
+   * @returns {string} Recommended LOD level
    */
-  getRecommendedLOD(clientId, clientReportedMetrics) {
-    // Force low LOD when bandwidth simulation is enabled
+  getRecommendedLOD(clientId, clientReportedMetrics, assetInfo = null, context = {}) {
+    const ladder = this.getLodLadder(assetInfo);
+
+    // Force the lowest LOD when bandwidth simulation is enabled
     if (this.isSimulationEnabled(clientId)) {
-      return 'low';
+      return ladder[0].lod;
     }
 
     // Update server-side metrics with client report
@@ -153,13 +332,106 @@ class AdaptiveStreamingManager {
       this.clientMetrics.set(clientId, metrics);
     }
 
-    const bandwidth = this.getEstimatedBandwidth(clientId);
+    // Nothing to plan with until a bandwidth is known
+    if (!this.getEstimatedBandwidth(clientId)) {
+      return ladder[0].lod;
+    }
 
-    if (bandwidth >= this.THRESHOLDS.HIGH) {
-      return 'high';
-    } else {
-      return 'low';
+    const candidate = this.chooseLOD(clientId, ladder, context).lod;
+    return this.dampSwitch(clientId, ladder, candidate, context, assetInfo ? assetInfo.id : null);
+  }
+
+  /**
+   * Damp a switch away from the client's current LOD
+   * Hysteresis: the strategy re-plans with the estimate shifted HYSTERESIS against
+   * the switch, and the LOD only moves as far as that plan goes. The move must then
+   * pass the minimum dwell and, for upgrades, the switch cost.
+   * @param {string} clientId - Client identifier
+   * @param {Array<Object>} ladder - From getLodLadder
+   * @param {string} candidate - LOD the strategy chose
+   * @param {Object} context - { room, queuedBytes, currentLod }
+   * @param {string|null} assetId - Asset the recommendation is for
+   * @returns {string} LOD to recommend
+   */
+  dampSwitch(clientId, ladder, candidate, context, assetId) {
+    const previous = this.recommendations.get(clientId);
+    const sameAsset = Boolean(previous && previous.assetId === assetId);
+    const current = context.currentLod || (sameAsset ? previous.lod : null);
+    const rank = (lod) => ladder.findIndex((rung) => rung.lod === lod);
+
+    let lod = candidate;
+    if (current && current !== candidate && rank(current) !== -1) {
+      const upgrade = rank(candidate) > rank(current);
+      const shifted = this.getEstimatedBandwidth(clientId) * (upgrade ? 1 - this.HYSTERESIS : 1 + this.HYSTERESIS);
+      const banded = this.chooseLOD(clientId, ladder, context, shifted).lod;
+      const target = (upgrade ? rank(banded) > rank(current) : rank(banded) < rank(current)) ? banded : current;
+
+      const veto = target === current ? 'inside hysteresis band' :
+        this.getSwitchVeto(clientId, ladder, current, target,
+          sameAsset && previous.lod === current ? previous.since : null);
+      if (veto) {
+        console.log(`Client ${clientId}: Holding ${current} LOD instead of ${candidate} (${veto})`);
+      }
+      lod = veto ? current : target;
+    }
+
+    if (!sameAsset || previous.lod !== lod) {
+      this.recommendations.set(clientId, { assetId, lod, since: Date.now() });
+    }
+    return lod;
+  }
+
+  /**
+   * Check whether a LOD switch should be held back
+   * @param {string} clientId - Client identifier
+   * @param {Array<Object>} ladder - From getLodLadder
+   * @param {string} current - LOD the client has
+   * @param {string} target - LOD to switch to
+   * @param {number|null} since - When current was first recommended (null if unknown)
+   * @returns {string|null} Why the switch is held back, or null to switch
+   */
+  getSwitchVeto(clientId, ladder, current, target, since) {
+    const from = ladder.find((rung) => rung.lod === current);
+    const to = ladder.find((rung) => rung.lod === target);
+    const upgrade = ladder.indexOf(to) > ladder.indexOf(from);
+
+    // Minimum dwell: upgrades wait longer than downgrades
+    const dwellMs = upgrade ? this.UPGRADE_DWELL_MS : this.DOWNGRADE_DWELL_MS;
+    if (since !== null && Date.now() - since < dwellMs) {
+      return `dwell ${Date.now() - since}ms < ${dwellMs}ms`;
+    }
+
+    // Switch cost: an upgrade re-downloads the asset, so its utility gain
+    // (ln of the size ratio, as in BOLA) must outweigh the transfer time
+    if (upgrade && from.bytes && to.bytes) {
+      const gain = Math.log(to.bytes / from.bytes);
+      const transferMs = (to.bytes / this.getEstimatedBandwidth(clientId)) * 1000;
+      const cost = (this.SWITCH_COST * transferMs) / this.TARGET_TIME_TO_RENDER_MS;
+      if (gain < cost) {
+        return `gain ${gain.toFixed(2)} < switch cost ${cost.toFixed(2)}`;
+      }
     }
+
+    return null;
+  }
+
+  /**
+   * Check whether the next LOD of a progressive stream is worth sending
+   * @param {string} clientId - Client identifier
+   * @param {number} bytes - Size of the next LOD
+   * @returns {boolean} True if it should arrive within UPGRADE_BUDGET_MS (or no estimate exists yet)
+   */
+  canDeliverUpgrade(clientId, bytes) {
+    if (this.isSimulationEnabled(clientId)) {
+      return false;
+    }
+
+    const bandwidth = this.getEstimatedBandwidth(clientId);
+    if (!bandwidth) {
+      return true;
+    }
+
+    return (bytes / bandwidth) * 1000 <= this.UPGRADE_BUDGET_MS;
   }
 
   /**
@@ -169,6 +441,8 @@ class AdaptiveStreamingManager {
   removeClient(clientId) {
     this.clientMetrics.delete(clientId);
     this.simulationState.delete(clientId);
+    this.clientStrategies.delete(clientId);
+    this.recommendations.delete(clientId);
     console.log(`Removed metrics for client ${clientId}`);
   }
 
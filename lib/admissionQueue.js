@@ -0,0 +1,91 @@
+// Admission Queue - Holds connections waiting for server or room capacity
+// Admits waiting clients in arrival order as slots free up
+
+class AdmissionQueue {
+  constructor(options = {}) {
+    // Connections beyond this many waiting are rejected outright
+    this.maxLength = options.maxLength !== undefined ? options.maxLength : 50;
+
+    // Waiting entries in arrival order: { ws, req, room, enqueuedAt }
+    this.entries = [];
+  }
+
+  /**
+   * Add a connection to the back of the queue
+   * @param {WebSocket} ws - Waiting socket
+   * @param {http.IncomingMessage} req - Upgrade request (replayed on admission)
+   * @param {string} room - Room the client asked for
+   * @returns {number} 1-based queue position, or 0 if the queue is full
+   */
+  enqueue(ws, req, room) {
+    if (this.entries.length >= this.maxLength) {
+      return 0;
+    }
+
+    this.entries.push({ ws, req, room, enqueuedAt: Date.now() });
+    return this.entries.length;
+  }
+
+  /**
+   * Remove a connection (e.g. it closed while waiting)
+   * @param {WebSocket} ws - Waiting socket
+   * @returns {boolean} True if it was queued
+   */
+  remove(ws) {
+    const index = this.entries.findIndex((entry) => entry.ws === ws);
+    if (index === -1) return false;
+
+    this.entries.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Take the oldest entry that can be admitted now
+   * Entries waiting on a full room do not block entries for other rooms
+   * @param {Function} canAdmit - (room) => boolean
+   * @returns {Object|null} Entry ({ ws, req, room, enqueuedAt }) or null if none fits
+   */
+  takeNext(canAdmit) {
+    const index = this.entries.findIndex((entry) => canAdmit(entry.room));
+    return index === -1 ? null : this.entries.splice(index, 1)[0];
+  }
+
+  /**
+   * Get a queued socket's 1-based position
+   * @param {WebSocket} ws - Socket
+   * @returns {number} Position, or 0 if not queued
+   */
+  getPosition(ws) {
+    return this.entries.findIndex((entry) => entry.ws === ws) + 1;
+  }
+
+  /**
+   * Count waiting connections per requested room
+   * @returns {Object} room -> waiting count
+   */
+  getDepthByRoom() {
+    const depth = {};
+    for (const entry of this.entries) {
+      depth[entry.room] = (depth[entry.room] || 0) + 1;
+    }
+    return depth;
+  }
+
+  /**
+   * Get the number of waiting connections
+   * @returns {number} Queue length
+   */
+  getLength() {
+    return this.entries.length;
+  }
+
+  /**
+   * Get every waiting entry, oldest first
+   * @returns {Array<Object>} Entries ({ ws, req, room, enqueuedAt })
+   */
+  getEntries() {
+    return this.entries.slice();
+  }
+}
+
+module.exports = AdmissionQueue;
@@ -1,8 +1,12 @@
+const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
 const LODGenerator = require("./lodGenerator");
 const NeRFManager = require("./nerfManager");
 
+// SHA-256 digests of asset buffers, computed once per buffer
+const contentHashes = new WeakMap();
+
 class AssetManager {
   constructor() {
     this.assets = new Map();
@@ -147,12 +151,74 @@ class AssetManager {
     return lodData;
   }
 
+  /**
+   * Get the LOD levels stored for an asset
+   * @param {string} assetId - Asset identifier
+   * @returns {Array<string>} LOD names (empty if the asset is unknown)
+   */
+  getLods(assetId) {
+    const asset = this.assets.get(assetId);
+    return asset ? Object.keys(asset.lods) : [];
+  }
+
+  /**
+   * Get the glTF extensions a loader must support to decode a LOD
+   * Read from extensionsRequired in the GLB's JSON chunk
+   * @param {string} assetId - Asset identifier
+   * @param {string} lod - LOD level
+   * @returns {Array<string>} Required extension names
+   */
+  getRequiredExtensions(assetId, lod) {
+    const asset = this.assets.get(assetId);
+    const buffer = asset && asset.lods[lod];
+
+    // GLB: 12-byte header, then a JSON chunk (length, type 'JSON', data)
+    if (
+      !buffer ||
+      buffer.length < 20 ||
+      buffer.readUInt32LE(16) !== 0x4e4f534a
+    ) {
+      return [];
+    }
+
+    try {
+      const jsonLength = buffer.readUInt32LE(12);
+      const gltf = JSON.parse(
+        buffer.slice(20, 20 + jsonLength).toString("utf8"),
+      );
+      return gltf.extensionsRequired || [];
+    } catch (error) {
+      console.warn(`Could not read glTF JSON for ${assetId} (${lod})`);
+      return [];
+    }
+  }
+
+  /**
+   * Get the SHA-256 digest of an asset buffer (hex)
+   * Clients use it to check reassembled downloads and to resume partial ones
+   * @param {Buffer} buffer - GLB or splat data
+   * @returns {string} Hex digest
+   */
+  getContentHash(buffer) {
+    let hash = contentHashes.get(buffer);
+    if (!hash) {
+      hash = crypto.createHash("sha256").update(buffer).digest("hex");
+      contentHashes.set(buffer, hash);
+    }
+    return hash;
+  }
+
   listAssets() {
     return Array.from(this.assets.keys()).map((id) => {
       const asset = this.assets.get(id);
       return {
         id,
         lods: Object.keys(asset.lods),
+        // Content hash per LOD, so clients can tell which cached copies are current
+        hashes: Object.entries(asset.lods).reduce((acc, [level, buffer]) => {
+          acc[level] = this.getContentHash(buffer);
+          return acc;
+        }, {}),
         hasNeRF: this.nerfManager.hasNeRF(id),
       };
     });
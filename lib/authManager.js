@@ -0,0 +1,211 @@
+// Auth Manager - HMAC-signed JWT (HS256) authentication and role checks
+// Tokens are verified locally against a shared secret; no external identity provider
+
+const crypto = require("crypto");
+
+// Roles in ascending order of privilege
+const ROLES = ["viewer", "editor", "admin"];
+
+class AuthManager {
+  constructor(options = {}) {
+    // Shared HMAC secret; auth is disabled when no secret is configured
+    this.secret = options.secret || null;
+
+    // Allowed clock skew when checking exp/nbf (seconds)
+    this.clockTolerance = options.clockTolerance || 30;
+
+    // Identity used for every request while auth is disabled
+    this.anonymousClaims = { sub: null, role: "admin", rooms: ["*"] };
+  }
+
+  /**
+   * Check whether tokens are being enforced
+   * @returns {boolean} True if a secret is configured
+   */
+  isEnabled() {
+    return Boolean(this.secret);
+  }
+
+  /**
+   * Sign a token for the given claims
+   * @param {Object} claims - Token claims (sub, role, rooms)
+   * @param {number} expiresInSeconds - Lifetime in seconds (0 = no expiry)
+   * @returns {string} Signed JWT
+   */
+  sign(claims, expiresInSeconds = 3600) {
+    if (!this.secret) {
+      throw new Error("Cannot sign tokens without an auth secret");
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const payload = { ...claims, iat: now };
+    if (expiresInSeconds > 0) {
+      payload.exp = now + expiresInSeconds;
+    }
+
+    const header = base64UrlEncode(
+      JSON.stringify({ alg: "HS256", typ: "JWT" }),
+    );
+    const body = base64UrlEncode(JSON.stringify(payload));
+    return `${header}.${body}.${this.createSignature(`${header}.${body}`)}`;
+  }
+
+  /**
+   * Verify a token and return its claims
+   * @param {string} token - JWT from the client
+   * @returns {Object} Verified claims ({ sub, role, rooms, ... })
+   * @throws {Error} If the token is malformed, badly signed, expired or has an unknown role
+   */
+  verify(token) {
+    if (!this.isEnabled()) {
+      return this.anonymousClaims;
+    }
+
+    if (typeof token !== "string") {
+      throw new Error("Missing token");
+    }
+
+    const parts = token.split(".");
+    if (parts.length !== 3) {
+      throw new Error("Malformed token");
+    }
+
+    const [header, body, signature] = parts;
+
+    let headerData;
+    let claims;
+    try {
+      headerData = JSON.parse(base64UrlDecode(header));
+      claims = JSON.parse(base64UrlDecode(body));
+    } catch (error) {
+      throw new Error("Malformed token");
+    }
+
+    if (headerData.alg !== "HS256") {
+      throw new Error(`Unsupported token algorithm: ${headerData.alg}`);
+    }
+
+    const expected = Buffer.from(this.createSignature(`${header}.${body}`));
+    const actual = Buffer.from(signature);
+    if (
+      expected.length !== actual.length ||
+      !crypto.timingSafeEqual(expected, actual)
+    ) {
+      throw new Error("Invalid token signature");
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (claims.exp !== undefined && now > claims.exp + this.clockTolerance) {
+      throw new Error("Token expired");
+    }
+    if (claims.nbf !== undefined && now < claims.nbf - this.clockTolerance) {
+      throw new Error("Token not yet valid");
+    }
+
+    if (!ROLES.includes(claims.role)) {
+      throw new Error(`Unknown role: ${claims.role}`);
+    }
+
+    return claims;
+  }
+
+  /**
+   * Check whether claims grant at least the given role
+   * @param {Object} claims - Verified claims
+   * @param {string} requiredRole - 'viewer', 'editor' or 'admin'
+   * @returns {boolean} True if the role is sufficient
+   */
+  hasRole(claims, requiredRole) {
+    if (!claims) return false;
+    return ROLES.indexOf(claims.role) >= ROLES.indexOf(requiredRole);
+  }
+
+  /**
+   * Check whether claims allow access to a room
+   * Tokens without a rooms claim may enter any room
+   * @param {Object} claims - Verified claims
+   * @param {string} roomId - Room identifier
+   * @returns {boolean} True if the room is allowed
+   */
+  canAccessRoom(claims, roomId) {
+    if (!claims) return false;
+    if (!Array.isArray(claims.rooms)) return true;
+    return claims.rooms.includes("*") || claims.rooms.includes(roomId);
+  }
+
+  /**
+   * Extract a bearer token from an HTTP request
+   * Checks the Authorization header, then the ?token= query (for WebSocket upgrades)
+   * @param {http.IncomingMessage} req - Incoming request
+   * @returns {string|null} Token or null if none was sent
+   */
+  getRequestToken(req) {
+    const header = req.headers && req.headers.authorization;
+    if (header && header.startsWith("Bearer ")) {
+      return header.slice(7).trim();
+    }
+
+    if (req.url) {
+      return new URL(req.url, "http://localhost").searchParams.get("token");
+    }
+
+    return null;
+  }
+
+  /**
+   * Authenticate an HTTP request
+   * @param {http.IncomingMessage} req - Incoming request
+   * @returns {Object} Verified claims
+   * @throws {Error} If the request carries no valid token
+   */
+  authenticate(req) {
+    return this.verify(this.getRequestToken(req));
+  }
+
+  /**
+   * Express middleware requiring a minimum role
+   * Verified claims are attached to req.auth
+   * @param {string} requiredRole - 'viewer', 'editor' or 'admin'
+   * @returns {Function} Express middleware
+   */
+  requireRole(requiredRole) {
+    return (req, res, next) => {
+      let claims;
+      try {
+        claims = this.authenticate(req);
+      } catch (error) {
+        return res
+          .status(401)
+          .json({ error: `Unauthorized: ${error.message}` });
+      }
+
+      if (!this.hasRole(claims, requiredRole)) {
+        return res
+          .status(403)
+          .json({ error: `Forbidden: requires ${requiredRole} role` });
+      }
+
+      req.auth = claims;
+      next();
+    };
+  }
+
+  createSignature(data) {
+    return crypto
+      .createHmac("sha256", this.secret)
+      .update(data)
+      .digest("base64url");
+  }
+}
+
+function base64UrlEncode(str) {
+  return Buffer.from(str).toString("base64url");
+}
+
+function base64UrlDecode(str) {
+  return Buffer.from(str, "base64url").toString("utf8");
+}
+
+AuthManager.ROLES = ROLES;
+
+module.exports = AuthManager;
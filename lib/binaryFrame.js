@@ -0,0 +1,79 @@
+// Binary Frame - Self-describing chunk frames for asset and splat streaming
+// Each WebSocket binary message carries its own header, so chunks from
+// concurrent streams can interleave without a separate JSON header message
+//
+// Layout (little-endian, 20-byte header):
+//   0  uint16  magic 0x5853 ('SX')
+//   2  uint8   version
+//   3  uint8   kind (1 = GLB asset, 2 = splat)
+//   4  uint32  stream id (from asset_metadata / nerf_metadata)
+//   8  uint32  chunk index
+//   12 uint32  byte offset of the payload within the stream
+//   16 uint32  payload length
+//   20 ...     payload
+
+const MAGIC = 0x5853;
+const VERSION = 1;
+const HEADER_SIZE = 20;
+
+const KINDS = {
+  ASSET: 1,
+  SPLAT: 2,
+};
+
+class BinaryFrame {
+  /**
+   * Build a frame around a chunk of stream data
+   * @param {Object} header - { kind, streamId, chunkIndex, offset }
+   * @param {Buffer} payload - Chunk bytes
+   * @returns {Buffer} Encoded frame
+   */
+  static encode(header, payload) {
+    const frame = Buffer.allocUnsafe(HEADER_SIZE + payload.length);
+
+    frame.writeUInt16LE(MAGIC, 0);
+    frame.writeUInt8(VERSION, 2);
+    frame.writeUInt8(header.kind, 3);
+    frame.writeUInt32LE(header.streamId, 4);
+    frame.writeUInt32LE(header.chunkIndex, 8);
+    frame.writeUInt32LE(header.offset, 12);
+    frame.writeUInt32LE(payload.length, 16);
+    payload.copy(frame, HEADER_SIZE);
+
+    return frame;
+  }
+
+  /**
+   * Parse a frame
+   * @param {Buffer} frame - Encoded frame
+   * @returns {Object|null} { kind, streamId, chunkIndex, offset, length, payload } or null if malformed
+   */
+  static decode(frame) {
+    if (
+      frame.length < HEADER_SIZE ||
+      frame.readUInt16LE(0) !== MAGIC ||
+      frame.readUInt8(2) !== VERSION
+    ) {
+      return null;
+    }
+
+    const length = frame.readUInt32LE(16);
+    if (frame.length !== HEADER_SIZE + length) {
+      return null;
+    }
+
+    return {
+      kind: frame.readUInt8(3),
+      streamId: frame.readUInt32LE(4),
+      chunkIndex: frame.readUInt32LE(8),
+      offset: frame.readUInt32LE(12),
+      length: length,
+      payload: frame.subarray(HEADER_SIZE),
+    };
+  }
+}
+
+BinaryFrame.KINDS = KINDS;
+BinaryFrame.HEADER_SIZE = HEADER_SIZE;
+
+module.exports = BinaryFrame;
@@ -0,0 +1,78 @@
+// BOLA Rule - Buffer-based ABR strategy with a time-to-first-render deadline
+// Adapts BOLA (Spiteri et al., "BOLA: Near-Optimal Bitrate Adaptation for Online
+// Videos") to asset delivery. Video players weigh quality against buffer level;
+// here the "buffer" is the slack left before the time-to-first-render deadline
+// once everything already queued for the client has drained. Plenty of slack buys
+// larger LODs, little slack falls back to smaller ones, and a LOD that would miss
+// the deadline is never chosen.
+
+const ThroughputRule = require("./throughputRule");
+
+class BolaRule {
+  /**
+   * @param {Object} options - Rule settings
+   * @param {number} options.minSlackRatio - Share of the target at or below which
+   *   the smallest LOD is chosen
+   */
+  constructor(options = {}) {
+    this.name = "bola";
+    this.minSlackRatio = options.minSlackRatio || 0.2;
+
+    // Ladders without byte sizes (fixed thresholds) leave nothing to weigh
+    this.fallback = new ThroughputRule();
+  }
+
+  /**
+   * Choose a LOD
+   * Maximizes BOLA's (V * (utility + gp) - slack) / size over the LODs that meet
+   * the deadline, with utility = ln(size / smallest size) + 1
+   * @param {Object} state - Decision inputs (see AdaptiveStreamingManager.chooseLOD)
+   * @returns {string} LOD level (the smallest if none meets the deadline)
+   */
+  chooseLOD(state) {
+    const ladder = state.ladder;
+    if (ladder.some((rung) => !rung.bytes)) {
+      return this.fallback.chooseLOD(state);
+    }
+    if (!state.bandwidth) {
+      return ladder[0].lod;
+    }
+
+    const targetMs = state.targetTimeToRenderMs;
+    const queueMs = (state.queuedBytes / state.bandwidth) * 1000;
+    const slackMs = Math.max(0, targetMs - queueMs);
+
+    const smallest = ladder[0].bytes;
+    const utilities = ladder.map((rung) => Math.log(rung.bytes / smallest) + 1);
+    const maxUtility = utilities[utilities.length - 1];
+    if (maxUtility <= 1) {
+      return ladder[ladder.length - 1].lod;
+    }
+
+    // Same parameterization as BOLA-BASIC: the smallest LOD wins at the minimum
+    // slack and the largest at full slack (an empty queue)
+    const minSlackMs = targetMs * this.minSlackRatio;
+    const gp = (maxUtility - 1) / (targetMs / minSlackMs - 1);
+    const v = minSlackMs / gp;
+
+    let selected = ladder[0];
+    let bestScore = -Infinity;
+    ladder.forEach((rung, index) => {
+      const finishMs = queueMs + (rung.bytes / state.bandwidth) * 1000;
+      if (index > 0 && finishMs > targetMs) {
+        return;
+      }
+
+      const score =
+        (v * (utilities[index] + gp) - slackMs) / (rung.bytes / smallest);
+      if (score > bestScore) {
+        bestScore = score;
+        selected = rung;
+      }
+    });
+
+    return selected.lod;
+  }
+}
+
+module.exports = BolaRule;
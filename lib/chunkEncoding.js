@@ -0,0 +1,74 @@
+// Chunk Encoding - Per-chunk compression for splat streams
+// Each chunk is compressed on its own, so chunks stay independently decodable
+// when streams interleave, are resumed from an offset, or arrive out of order.
+// Frame offsets and chunk indexes always refer to the uncompressed stream.
+
+const zlib = require("zlib");
+
+// Content codings the server can apply, in the server's order of preference
+// ('identity' = sent as-is, always available)
+const ENCODINGS = ["br", "gzip"];
+
+// Brotli quality trades ratio for per-chunk CPU; 11 is too slow to run inline
+const BROTLI_QUALITY = 5;
+
+class ChunkEncoding {
+  /**
+   * Compress one chunk
+   * @param {Buffer} chunk - Uncompressed chunk
+   * @param {string} encoding - 'br', 'gzip' or 'identity'
+   * @returns {Buffer} Encoded chunk
+   */
+  static encode(chunk, encoding) {
+    switch (encoding) {
+      case "br":
+        return zlib.brotliCompressSync(chunk, {
+          params: {
+            [zlib.constants.BROTLI_PARAM_QUALITY]: BROTLI_QUALITY,
+            [zlib.constants.BROTLI_PARAM_SIZE_HINT]: chunk.length,
+          },
+        });
+      case "gzip":
+        return zlib.gzipSync(chunk);
+      case "identity":
+        return chunk;
+      default:
+        throw new Error(`Unsupported chunk encoding: ${encoding}`);
+    }
+  }
+
+  /**
+   * Decompress one chunk
+   * @param {Buffer} chunk - Encoded chunk
+   * @param {string} encoding - 'br', 'gzip' or 'identity'
+   * @returns {Buffer} Uncompressed chunk
+   */
+  static decode(chunk, encoding) {
+    switch (encoding) {
+      case "br":
+        return zlib.brotliDecompressSync(chunk);
+      case "gzip":
+        return zlib.gunzipSync(chunk);
+      case "identity":
+        return chunk;
+      default:
+        throw new Error(`Unsupported chunk encoding: ${encoding}`);
+    }
+  }
+
+  /**
+   * Pick the encoding for a stream
+   * @param {Array<string>} clientEncodings - Encodings the client can decode, most preferred first
+   * @returns {string} First client preference the server supports, else 'identity'
+   */
+  static select(clientEncodings) {
+    return (
+      clientEncodings.find((encoding) => ENCODINGS.includes(encoding)) ||
+      "identity"
+    );
+  }
+}
+
+ChunkEncoding.ENCODINGS = ENCODINGS;
+
+module.exports = ChunkEncoding;
@@ -0,0 +1,144 @@
+// Client Capabilities - Protocol version and feature negotiation per client
+// Clients announce themselves with a hello message; clients that never do are treated as protocol v1
+
+const ChunkEncoding = require("./chunkEncoding");
+
+// Current protocol version spoken by this server
+const PROTOCOL_VERSION = 2;
+
+// Oldest protocol version the server still accepts
+const MIN_PROTOCOL_VERSION = 1;
+
+// Features this server can provide
+const SERVER_CAPABILITIES = {
+  binaryFraming: true,
+  draco: true,
+  splatFormats: ["splat", "ply", "gaussian"],
+  splatEncodings: ChunkEncoding.ENCODINGS,
+};
+
+// Assumed for client builds that predate the hello handshake
+const LEGACY_CAPABILITIES = {
+  binaryFraming: false,
+  draco: true,
+  splatFormats: ["splat", "ply", "gaussian"],
+  splatEncodings: [],
+};
+
+class ClientCapabilities {
+  constructor() {
+    // clientId -> { protocolVersion, capabilities }
+    this.clients = new Map();
+  }
+
+  /**
+   * Check whether a client's protocol version can be served
+   * @param {number} protocolVersion - Version declared by the client
+   * @returns {boolean} True if supported
+   */
+  isSupportedVersion(protocolVersion) {
+    return (
+      Number.isInteger(protocolVersion) &&
+      protocolVersion >= MIN_PROTOCOL_VERSION
+    );
+  }
+
+  /**
+   * Record a client's hello and settle on a common version and feature set
+   * Boolean features are enabled only if both sides support them; splat formats
+   * and encodings keep the client's order of preference
+   * @param {string} clientId - Client identifier
+   * @param {number} protocolVersion - Version declared by the client
+   * @param {Object} capabilities - Features declared by the client
+   * @returns {Object} Negotiated { protocolVersion, capabilities }
+   */
+  negotiate(clientId, protocolVersion, capabilities = {}) {
+    const negotiated = {
+      protocolVersion: Math.min(protocolVersion, PROTOCOL_VERSION),
+      capabilities: {
+        binaryFraming:
+          capabilities.binaryFraming === true &&
+          SERVER_CAPABILITIES.binaryFraming,
+        draco: capabilities.draco === true && SERVER_CAPABILITIES.draco,
+        splatFormats: (capabilities.splatFormats || []).filter((format) =>
+          SERVER_CAPABILITIES.splatFormats.includes(format),
+        ),
+        splatEncodings: (capabilities.splatEncodings || []).filter((encoding) =>
+          SERVER_CAPABILITIES.splatEncodings.includes(encoding),
+        ),
+      },
+    };
+
+    this.clients.set(clientId, negotiated);
+    console.log(
+      `ClientCapabilities: Client ${clientId} negotiated protocol v${negotiated.protocolVersion}`,
+      negotiated.capabilities,
+    );
+
+    return negotiated;
+  }
+
+  /**
+   * Get a client's negotiated version and features
+   * @param {string} clientId - Client identifier
+   * @returns {Object} { protocolVersion, capabilities } (legacy defaults if no hello)
+   */
+  get(clientId) {
+    return (
+      this.clients.get(clientId) || {
+        protocolVersion: MIN_PROTOCOL_VERSION,
+        capabilities: LEGACY_CAPABILITIES,
+      }
+    );
+  }
+
+  /**
+   * Get the protocol version to use when talking to a client
+   * @param {string} clientId - Client identifier
+   * @returns {number} Negotiated protocol version
+   */
+  getProtocolVersion(clientId) {
+    return this.get(clientId).protocolVersion;
+  }
+
+  /**
+   * Check whether a client supports a boolean feature
+   * @param {string} clientId - Client identifier
+   * @param {string} capability - 'binaryFraming' or 'draco'
+   * @returns {boolean} True if negotiated
+   */
+  has(clientId, capability) {
+    return this.get(clientId).capabilities[capability] === true;
+  }
+
+  /**
+   * Get the splat formats a client can decode, most preferred first
+   * @param {string} clientId - Client identifier
+   * @returns {Array<string>} Splat formats
+   */
+  getSplatFormats(clientId) {
+    return this.get(clientId).capabilities.splatFormats;
+  }
+
+  /**
+   * Get the compressions a client can decode on splat chunks, most preferred first
+   * @param {string} clientId - Client identifier
+   * @returns {Array<string>} Chunk encodings ('br', 'gzip')
+   */
+  getSplatEncodings(clientId) {
+    return this.get(clientId).capabilities.splatEncodings;
+  }
+
+  /**
+   * Forget a client's negotiated capabilities
+   * @param {string} clientId - Client identifier
+   */
+  remove(clientId) {
+    this.clients.delete(clientId);
+  }
+}
+
+ClientCapabilities.PROTOCOL_VERSION = PROTOCOL_VERSION;
+ClientCapabilities.SERVER_CAPABILITIES = SERVER_CAPABILITIES;
+
+module.exports = ClientCapabilities;
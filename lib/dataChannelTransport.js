@@ -0,0 +1,207 @@
+// Data Channel Transport - Server-side WebRTC peer for asset and splat chunks
+// A client opts in with open_data_channel; the server then offers a peer connection
+// (signalled over the client's WebSocket as transport_signal, in simple-peer's
+// signal format) carrying one unordered, partially reliable data channel. SCTP gives
+// the channel its own congestion control, and a lost or late chunk never holds up
+// the chunks behind it. Until the channel opens, or if ICE fails, chunks keep
+// flowing over the WebSocket.
+
+const nodeDataChannel = require("node-datachannel");
+
+class DataChannelTransport {
+  /**
+   * @param {Object} options - Transport settings
+   * @param {Array<string>} options.iceServers - STUN/TURN URLs (e.g. 'stun:stun.l.google.com:19302')
+   * @param {number} options.maxRetransmits - Retransmissions per chunk before it is dropped
+   * @param {number} options.connectTimeout - Give up (ms) if the channel has not opened by then
+   * @param {Function} options.onSignal - (clientId, signal) => void, forwards a signal to the client
+   * @param {Function} options.onStateChange - (clientId, state, reason) => void, state is 'open' or 'failed'
+   */
+  constructor(options = {}) {
+    this.iceServers = options.iceServers || [];
+    this.maxRetransmits =
+      options.maxRetransmits !== undefined ? options.maxRetransmits : 2;
+    this.connectTimeout = options.connectTimeout || 10000;
+    this.onSignal = options.onSignal || (() => {});
+    this.onStateChange = options.onStateChange || (() => {});
+
+    // clientId -> { pc, channel, open, timer }
+    this.peers = new Map();
+  }
+
+  /**
+   * Start negotiating a data channel with a client (replaces any existing one)
+   * The offer and ICE candidates are delivered through onSignal
+   * @param {string} clientId - Client identifier
+   */
+  open(clientId) {
+    this.close(clientId);
+
+    const pc = new nodeDataChannel.PeerConnection(`streamxr-${clientId}`, {
+      iceServers: this.iceServers,
+    });
+    const peer = { pc: pc, channel: null, open: false, timer: null };
+    this.peers.set(clientId, peer);
+
+    pc.onLocalDescription((sdp, type) =>
+      this.onSignal(clientId, { type: type, sdp: sdp }),
+    );
+    pc.onLocalCandidate((candidate, mid) =>
+      this.onSignal(clientId, {
+        type: "candidate",
+        candidate: {
+          candidate: candidate.replace(/^a=/, ""),
+          sdpMid: mid,
+          sdpMLineIndex: 0,
+        },
+      }),
+    );
+    pc.onStateChange((state) => {
+      if (state === "failed" || state === "closed") {
+        this.fail(clientId, peer, `Peer connection ${state}`);
+      }
+    });
+
+    // Creating the channel starts negotiation (the offer is sent via onLocalDescription)
+    peer.channel = pc.createDataChannel("streamxr-chunks", {
+      unordered: true,
+      maxRetransmits: this.maxRetransmits,
+    });
+    peer.channel.onOpen(() => {
+      if (this.peers.get(clientId) !== peer) return;
+
+      peer.open = true;
+      clearTimeout(peer.timer);
+      console.log(`DataChannelTransport: Channel open to client ${clientId}`);
+      this.onStateChange(clientId, "open");
+    });
+    peer.channel.onClosed(() =>
+      this.fail(clientId, peer, "Data channel closed"),
+    );
+    peer.channel.onError((error) =>
+      this.fail(clientId, peer, `Data channel error: ${error}`),
+    );
+
+    peer.timer = setTimeout(
+      () => this.fail(clientId, peer, "ICE did not connect in time"),
+      this.connectTimeout,
+    );
+  }
+
+  /**
+   * Apply a signal from the client (answer or ICE candidate)
+   * @param {string} clientId - Client identifier
+   * @param {Object} signal - simple-peer signal data
+   * @throws {Error} If no negotiation is in progress or the signal is malformed
+   */
+  handleSignal(clientId, signal) {
+    const peer = this.peers.get(clientId);
+    if (!peer) {
+      throw new Error("No data channel negotiation in progress");
+    }
+
+    if (signal.type === "answer") {
+      if (typeof signal.sdp !== "string") {
+        throw new Error("Answer is missing its SDP");
+      }
+      peer.pc.setRemoteDescription(signal.sdp, "answer");
+    } else if (signal.type === "candidate") {
+      const candidate = signal.candidate || {};
+      if (typeof candidate.candidate !== "string") {
+        throw new Error("Candidate is missing its candidate string");
+      }
+      // An empty candidate marks the end of gathering
+      if (candidate.candidate) {
+        peer.pc.addRemoteCandidate(
+          candidate.candidate,
+          typeof candidate.sdpMid === "string" ? candidate.sdpMid : "0",
+        );
+      }
+    }
+    // Other simple-peer signals (renegotiate, transceiverRequest) concern media
+    // tracks, which this data-only connection never has
+  }
+
+  /**
+   * Check whether a client's data channel can carry chunks
+   * @param {string} clientId - Client identifier
+   * @returns {boolean} True if open
+   */
+  isOpen(clientId) {
+    const peer = this.peers.get(clientId);
+    return Boolean(peer && peer.open);
+  }
+
+  /**
+   * Get the bytes queued on a client's data channel
+   * @param {string} clientId - Client identifier
+   * @returns {number} Buffered bytes (0 without an open channel)
+   */
+  getBufferedAmount(clientId) {
+    const peer = this.peers.get(clientId);
+    return peer && peer.open ? peer.channel.bufferedAmount() : 0;
+  }
+
+  /**
+   * Send a binary frame over a client's data channel
+   * @param {string} clientId - Client identifier
+   * @param {Buffer} frame - Encoded frame
+   * @returns {boolean} True if the frame was handed to the channel; false means use the WebSocket
+   */
+  send(clientId, frame) {
+    const peer = this.peers.get(clientId);
+    if (!peer || !peer.open) {
+      return false;
+    }
+
+    try {
+      // Returns false when the message was queued rather than sent immediately
+      peer.channel.sendMessageBinary(frame);
+      return true;
+    } catch (error) {
+      this.fail(clientId, peer, `Send failed: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Tear down a client's peer connection without notifying it (e.g. on disconnect)
+   * @param {string} clientId - Client identifier
+   */
+  close(clientId) {
+    const peer = this.peers.get(clientId);
+    if (!peer) return;
+
+    this.peers.delete(clientId);
+    clearTimeout(peer.timer);
+
+    try {
+      peer.channel.close();
+      peer.pc.close();
+    } catch (error) {
+      console.error(
+        `DataChannelTransport: Error closing peer for ${clientId}:`,
+        error,
+      );
+    }
+  }
+
+  /**
+   * Drop a peer that failed or closed and report it once
+   * @param {string} clientId - Client identifier
+   * @param {Object} peer - Peer state the failure belongs to
+   * @param {string} reason - What went wrong
+   */
+  fail(clientId, peer, reason) {
+    // Ignore peers that were already replaced or closed
+    if (this.peers.get(clientId) !== peer) return;
+
+    console.log(
+      `DataChannelTransport: Client ${clientId} falls back to WebSocket: ${reason}`,
+    );
+    this.close(clientId);
+    this.onStateChange(clientId, "failed", reason);
+  }
+}
+
+module.exports = DataChannelTransport;
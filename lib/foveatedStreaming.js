@@ -26,6 +26,13 @@ class FoveatedStreamingManager {
       FAR: 30,   // 15-30 units: low priority
     };
 
+    // Streaming priority per LOD (higher streams first)
+    this.LOD_PRIORITY = {
+      high: 3,   // Foveal
+      low: 2,    // Peripheral
+      skip: 1,   // Out of view
+    };
+
     // Scene objects with their positions
     this.sceneObjects = new Map();
   }
@@ -191,7 +198,7 @@ class FoveatedStreamingManager {
    * @param {string} clientId - Client identifier
    * @param {string} assetId - Asset identifier
    * @param {Array<number>} position - Object position [x, y, z]
-   * @returns {Object} LOD recommendation with asset ID
+   * @returns {Object} LOD recommendation with asset ID and streaming priority
    */
   getAssetLOD(clientId, assetId, position = [0, 0, -2]) {
     const lod = this.determineLOD(clientId, assetId, position);
@@ -200,6 +207,7 @@ class FoveatedStreamingManager {
       lod: lod,
       assetId: lod === 'skip' ? null : `${assetId}-${lod}`,
       shouldStream: lod !== 'skip',
+      priority: this.LOD_PRIORITY[lod],
     };
   }
 
@@ -223,8 +231,7 @@ class FoveatedStreamingManager {
 
     // Sort by priority (foveal high LOD first, then peripheral)
     results.sort((a, b) => {
-      const priority = { high: 3, low: 2, skip: 1 };
-      return priority[b.lod] - priority[a.lod];
+      return this.LOD_PRIORITY[b.lod] - this.LOD_PRIORITY[a.lod];
     });
 
     return results;
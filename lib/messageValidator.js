@@ -0,0 +1,449 @@
+// Message Validator - Declarative schemas for inbound WebSocket messages
+// Every message type the server accepts is listed here; anything else is rejected
+
+// Room names clients may join (also used for the ?room= socket query)
+const ROOM_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Asset IDs double as directory names, so keep them path-safe
+const ASSET_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+// Object IDs are generated by ObjectSync (obj_<timestamp>_<random>)
+const OBJECT_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+// Error codes carried by protocol_error replies
+const ERROR_CODES = {
+  INVALID_JSON: "invalid_json",
+  INVALID_MESSAGE: "invalid_message",
+  UNKNOWN_TYPE: "unknown_type",
+  MISSING_FIELD: "missing_field",
+  INVALID_TYPE: "invalid_type",
+  INVALID_VALUE: "invalid_value",
+  UNSUPPORTED_VERSION: "unsupported_version",
+};
+
+// Reusable field shapes
+const vector3 = { type: "array", length: 3, items: "number" };
+const quaternion = { type: "array", length: 4, items: "number" };
+const roomId = { type: "string", required: true, pattern: ROOM_ID_PATTERN };
+const objectId = {
+  type: "string",
+  required: true,
+  pattern: OBJECT_ID_PATTERN,
+};
+const assetId = { type: "string", required: true, pattern: ASSET_ID_PATTERN };
+const streamId = { type: "number", required: true, min: 1, max: 0xffffffff };
+const priority = { type: "number", min: 0, max: 10 };
+// Resume a partial download: byte to continue from, and the hash it was started with
+const resumeOffset = { type: "number", min: 0, max: 0xffffffff };
+const sha256 = { type: "string", pattern: /^[0-9a-f]{64}$/ };
+const transform = {
+  position: vector3,
+  rotation: vector3,
+  scale: vector3,
+};
+
+/**
+ * Field spec properties:
+ *   type      - 'string' | 'number' | 'boolean' | 'object' | 'array'
+ *   required  - Field must be present (null counts as absent)
+ *   nullable  - null is accepted even when a type is set
+ *   pattern   - RegExp a string must match
+ *   enum      - Allowed values
+ *   min / max - Inclusive numeric bounds
+ *   length    - Exact array length
+ *   maxLength - Maximum array length
+ *   items     - Type every array element must have
+ *   properties - Nested field specs for objects
+ */
+const SCHEMAS = {
+  hello: {
+    protocolVersion: { type: "number", required: true, min: 1 },
+    capabilities: {
+      type: "object",
+      properties: {
+        binaryFraming: { type: "boolean" },
+        draco: { type: "boolean" },
+        splatFormats: { type: "array", items: "string" },
+        splatEncodings: { type: "array", items: "string", maxLength: 8 },
+      },
+    },
+  },
+  ping: {
+    timestamp: { type: "number" },
+  },
+  signal: {
+    signal: { type: "object", required: true },
+  },
+  request_asset: {
+    assetId: assetId,
+    lod: { type: "string", nullable: true, pattern: /^[a-z0-9_-]{1,32}$/ },
+    priority: priority,
+    offset: resumeOffset,
+    sha256: sha256,
+    // Hashes of LODs the client already holds; a match skips the transfer
+    cachedHashes: { type: "array", items: "string", maxLength: 16 },
+    // Stream low first, then refine up to the selected LOD
+    progressive: { type: "boolean" },
+    // "http": only send metadata; the client fetches the bytes from httpUrl
+    // "websocket": keep chunks off the data channel (e.g. to repair lost chunks)
+    transport: { type: "string", enum: ["websocket", "http"] },
+  },
+  list_assets: {},
+  "bandwidth-metrics": {
+    metrics: {
+      type: "object",
+      required: true,
+      properties: {
+        bandwidth: { type: "number", min: 0 },
+        bytesReceived: { type: "number", min: 0 },
+        timestamp: { type: "number" },
+      },
+    },
+    // Asset being viewed; the LOD recommendation is chosen from its LOD sizes
+    assetId: { type: "string", pattern: ASSET_ID_PATTERN },
+    // LOD of that asset on screen; recommendations only move away from it when worth it
+    lod: { type: "string", pattern: /^[a-z0-9_-]{1,32}$/ },
+  },
+  "head-tracking": {
+    position: { ...vector3, required: true },
+    rotation: vector3,
+    quaternion: quaternion,
+    fov: { type: "number", min: 1, max: 180 },
+    timestamp: { type: "number" },
+  },
+  "position-update": {
+    position: { ...vector3, required: true },
+    rotation: vector3,
+    quaternion: quaternion,
+  },
+  "join-room": {
+    roomId: roomId,
+  },
+  "leave-room": {},
+  "get-room-objects": {
+    roomId: roomId,
+  },
+  "create-object": {
+    roomId: roomId,
+    objectData: {
+      type: "object",
+      required: true,
+      properties: {
+        type: { type: "string" },
+        color: { type: "number" },
+        ...transform,
+      },
+    },
+  },
+  "update-object": {
+    roomId: roomId,
+    objectId: objectId,
+    updates: {
+      type: "object",
+      required: true,
+      properties: {
+        color: { type: "number" },
+        ...transform,
+      },
+    },
+  },
+  "delete-object": {
+    roomId: roomId,
+    objectId: objectId,
+  },
+  "grab-object": {
+    roomId: roomId,
+    objectId: objectId,
+  },
+  "release-object": {
+    roomId: roomId,
+    objectId: objectId,
+  },
+  "move-object": {
+    roomId: roomId,
+    objectId: objectId,
+    position: vector3,
+    rotation: vector3,
+  },
+  "set-simulation-mode": {
+    enabled: { type: "boolean", required: true },
+  },
+  request_nerf: {
+    assetId: assetId,
+    options: {
+      type: "object",
+      properties: {
+        quality: { type: "string", enum: ["low", "medium", "high"] },
+      },
+    },
+    priority: priority,
+    offset: resumeOffset,
+    sha256: sha256,
+    // "websocket": keep chunks off the data channel
+    transport: { type: "string", enum: ["websocket"] },
+  },
+  reprioritize_stream: {
+    streamId: streamId,
+    priority: { ...priority, required: true },
+  },
+  cancel_stream: {
+    streamId: streamId,
+  },
+  cancel_asset: {
+    assetId: assetId,
+    lod: { type: "string", pattern: /^[a-z0-9_-]{1,32}$/ },
+  },
+  cancel_nerf: {
+    assetId: assetId,
+  },
+  // Ask the server to offer a WebRTC data channel for chunks
+  open_data_channel: {},
+  transport_signal: {
+    signal: { type: "object", required: true },
+  },
+  // ABR strategy for this client's LOD decisions; null follows the room again
+  set_abr_strategy: {
+    strategy: { type: "string", nullable: true, pattern: /^[a-z0-9_-]{1,32}$/ },
+  },
+  // Emulate network conditions on the sender's own connection; null stops shaping
+  set_network_profile: {
+    profile: { type: "string", nullable: true, pattern: /^[a-z0-9_-]{1,32}$/ },
+    settings: {
+      type: "object",
+      properties: {
+        bandwidth: { type: "number", min: 0 },
+        latency: { type: "number", min: 0, max: 10000 },
+        jitter: { type: "number", min: 0, max: 10000 },
+        stallProbability: { type: "number", min: 0, max: 1 },
+        stallDuration: { type: "number", min: 0, max: 10000 },
+      },
+    },
+  },
+  // Quality-of-experience totals since the page loaded (times in ms)
+  "qoe-report": {
+    uptime: { type: "number", required: true, min: 0 },
+    timeToFirstRender: { type: "number", nullable: true, min: 0 },
+    lodSwitches: { type: "number", min: 0 },
+    stallTime: { type: "number", min: 0 },
+    bytesReceived: { type: "number", min: 0 },
+    fps: {
+      type: "object",
+      properties: {
+        average: { type: "number", min: 0 },
+        min: { type: "number", nullable: true, min: 0 },
+        current: { type: "number", min: 0 },
+        samples: { type: "number", min: 0 },
+      },
+    },
+    // Time on screen per LOD: [{ assetId, lod, ms }]
+    lodTime: { type: "array", items: "object", maxLength: 64 },
+    // Asset and LOD on screen when the report was sent
+    assetId: { type: "string", pattern: ASSET_ID_PATTERN },
+    lod: { type: "string", pattern: /^[a-z0-9_-]{1,32}$/ },
+  },
+  set_render_mode: {
+    mode: { type: "string", required: true },
+  },
+  // Sent by the browser client when toggling render modes
+  "render-mode-change": {
+    mode: { type: "string", required: true },
+  },
+};
+
+class MessageValidator {
+  constructor(schemas = SCHEMAS) {
+    // message type -> field specs
+    this.schemas = new Map(Object.entries(schemas));
+  }
+
+  /**
+   * Register (or replace) the schema for a message type
+   * @param {string} type - Message type
+   * @param {Object} schema - Field specs keyed by field name
+   */
+  register(type, schema) {
+    this.schemas.set(type, schema);
+  }
+
+  /**
+   * Check whether a message type is known
+   * @param {string} type - Message type
+   * @returns {boolean} True if a schema is registered
+   */
+  hasType(type) {
+    return this.schemas.has(type);
+  }
+
+  /**
+   * Parse and validate a raw WebSocket message
+   * @param {Buffer|string} raw - Raw message payload
+   * @returns {{ data: Object|null, error: Object|null }} Parsed message or protocol error
+   */
+  parse(raw) {
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (error) {
+      return {
+        data: null,
+        error: {
+          code: ERROR_CODES.INVALID_JSON,
+          field: null,
+          message: "Message is not valid JSON",
+        },
+      };
+    }
+
+    return { data: data, error: this.validate(data) };
+  }
+
+  /**
+   * Validate a parsed message against its schema
+   * Unknown extra fields are allowed; only declared fields are checked
+   * @param {Object} data - Parsed message
+   * @returns {Object|null} { code, field, message } or null if valid
+   */
+  validate(data) {
+    if (!isPlainObject(data)) {
+      return {
+        code: ERROR_CODES.INVALID_MESSAGE,
+        field: null,
+        message: "Message must be a JSON object",
+      };
+    }
+
+    if (typeof data.type !== "string") {
+      return {
+        code: ERROR_CODES.MISSING_FIELD,
+        field: "type",
+        message: "Message type is required",
+      };
+    }
+
+    const schema = this.schemas.get(data.type);
+    if (!schema) {
+      return {
+        code: ERROR_CODES.UNKNOWN_TYPE,
+        field: "type",
+        message: `Unknown message type: ${data.type}`,
+      };
+    }
+
+    return this.validateFields(data, schema, "");
+  }
+
+  /**
+   * Validate an object's fields against a set of field specs
+   * @param {Object} value - Object to check
+   * @param {Object} schema - Field specs keyed by field name
+   * @param {string} prefix - Dotted path of the object (for error fields)
+   * @returns {Object|null} First error found, or null
+   */
+  validateFields(value, schema, prefix) {
+    for (const [name, spec] of Object.entries(schema)) {
+      const error = this.validateField(value[name], spec, prefix + name);
+      if (error) return error;
+    }
+    return null;
+  }
+
+  /**
+   * Validate a single field value
+   * @param {*} value - Field value
+   * @param {Object} spec - Field spec
+   * @param {string} field - Dotted field path
+   * @returns {Object|null} Error or null
+   */
+  validateField(value, spec, field) {
+    if (value === undefined || (value === null && !spec.nullable)) {
+      return spec.required
+        ? {
+            code: ERROR_CODES.MISSING_FIELD,
+            field: field,
+            message: `Missing required field: ${field}`,
+          }
+        : null;
+    }
+
+    if (value === null) return null;
+
+    if (!matchesType(value, spec.type)) {
+      return {
+        code: ERROR_CODES.INVALID_TYPE,
+        field: field,
+        message: `Field ${field} must be of type ${spec.type}`,
+      };
+    }
+
+    const invalid = (reason) => ({
+      code: ERROR_CODES.INVALID_VALUE,
+      field: field,
+      message: `Field ${field} ${reason}`,
+    });
+
+    if (spec.pattern && !spec.pattern.test(value)) {
+      return invalid("has an invalid format");
+    }
+    if (spec.enum && !spec.enum.includes(value)) {
+      return invalid(`must be one of: ${spec.enum.join(", ")}`);
+    }
+    if (spec.min !== undefined && value < spec.min) {
+      return invalid(`must be at least ${spec.min}`);
+    }
+    if (spec.max !== undefined && value > spec.max) {
+      return invalid(`must be at most ${spec.max}`);
+    }
+
+    if (spec.type === "array") {
+      if (spec.length !== undefined && value.length !== spec.length) {
+        return invalid(`must have ${spec.length} elements`);
+      }
+      if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+        return invalid(`must have at most ${spec.maxLength} elements`);
+      }
+      if (spec.items) {
+        const index = value.findIndex((item) => !matchesType(item, spec.items));
+        if (index !== -1) {
+          return {
+            code: ERROR_CODES.INVALID_TYPE,
+            field: `${field}.${index}`,
+            message: `Field ${field} must contain only ${spec.items} values`,
+          };
+        }
+      }
+    }
+
+    if (spec.properties) {
+      return this.validateFields(value, spec.properties, `${field}.`);
+    }
+
+    return null;
+  }
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case "string":
+      return typeof value === "string";
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "boolean":
+      return typeof value === "boolean";
+    case "object":
+      return isPlainObject(value);
+    case "array":
+      return Array.isArray(value);
+    default:
+      return true;
+  }
+}
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+MessageValidator.ERROR_CODES = ERROR_CODES;
+MessageValidator.ROOM_ID_PATTERN = ROOM_ID_PATTERN;
+MessageValidator.ASSET_ID_PATTERN = ASSET_ID_PATTERN;
+
+module.exports = MessageValidator;
@@ -0,0 +1,238 @@
+// Network Shaper - Per-client emulation of slow or unreliable links
+// Shapes what the server sends to a client so adaptive streaming can be tested
+// end to end against real throughput rather than a forced LOD:
+//  - bandwidth: chunks are paced to a byte rate (StreamScheduler asks for the delay)
+//  - latency / jitter: WebSocket messages are held back before they are sent, in
+//    order (jitter varies the gaps between messages but never reorders them)
+//  - stalls: a chunk may hold the link for a while, like a lost packet waiting
+//    for its retransmission
+
+const WebSocket = require("ws");
+
+// Named profiles; settings left out of a profile are 0 (no shaping)
+//   bandwidth        - Bytes per second (0 = uncapped)
+//   latency          - Added one-way delay in ms
+//   jitter           - Up to this many ms added on top of the latency, at random
+//   stallProbability - Chance (0-1) that a chunk stalls the link
+//   stallDuration    - How long a stall holds the link, in ms
+const PROFILES = {
+  "3g": {
+    label: "3G",
+    bandwidth: 96000, // 750 kbit/s
+    latency: 150,
+    jitter: 50,
+    stallProbability: 0.01,
+    stallDuration: 500,
+  },
+  "congested-wifi": {
+    label: "Congested Wi-Fi",
+    bandwidth: 250000, // 2 Mbit/s
+    latency: 30,
+    jitter: 80,
+    stallProbability: 0.03,
+    stallDuration: 250,
+  },
+  "quest-tether": {
+    label: "Quest on tether",
+    bandwidth: 40000000, // USB 3 Link cable
+    latency: 2,
+    jitter: 1,
+  },
+};
+
+const SETTINGS = [
+  "bandwidth",
+  "latency",
+  "jitter",
+  "stallProbability",
+  "stallDuration",
+];
+
+class NetworkShaper {
+  /**
+   * @param {Object} profiles - Named profiles (defaults to PROFILES)
+   */
+  constructor(profiles = PROFILES) {
+    this.profiles = new Map(Object.entries(profiles));
+
+    // clientId -> { profile, settings, nextSendAt, nextDeliverAt, stalls }
+    this.clients = new Map();
+  }
+
+  /**
+   * List the named profiles
+   * @returns {Object} name -> { label, ...settings }
+   */
+  getProfiles() {
+    return Object.fromEntries(this.profiles);
+  }
+
+  /**
+   * Shape a client's link with a named profile
+   * @param {string} clientId - Client identifier
+   * @param {string|null} name - Profile name, or null to stop shaping
+   * @param {Object} overrides - Settings that replace the profile's (e.g. { latency: 300 })
+   * @returns {Object|null} Shaping now in effect (see getProfile)
+   * @throws {Error} If the profile is unknown or a setting is invalid
+   */
+  setProfile(clientId, name, overrides = {}) {
+    const state = this.clients.get(clientId);
+
+    if (name === null) {
+      // Messages still held back keep their place ahead of later ones
+      if (state && state.nextDeliverAt > Date.now()) {
+        state.profile = null;
+        state.settings = this.buildSettings({});
+      } else {
+        this.clients.delete(clientId);
+      }
+      console.log(`NetworkShaper: Client ${clientId} unshaped`);
+      return null;
+    }
+
+    const profile = this.profiles.get(name);
+    if (!profile) {
+      throw new Error(
+        `Unknown network profile: ${name} (available: ${Array.from(this.profiles.keys()).join(", ")})`,
+      );
+    }
+
+    this.clients.set(clientId, {
+      profile: name,
+      settings: this.buildSettings({ ...profile, ...overrides }),
+      nextSendAt: state ? state.nextSendAt : 0,
+      nextDeliverAt: state ? state.nextDeliverAt : 0,
+      stalls: 0,
+    });
+
+    const shaping = this.getProfile(clientId);
+    console.log(
+      `NetworkShaper: Client ${clientId} shaped as ${name}:`,
+      shaping.settings,
+    );
+    return shaping;
+  }
+
+  /**
+   * Get the shaping applied to a client
+   * @param {string} clientId - Client identifier
+   * @returns {Object|null} { profile, settings, stalls } or null if unshaped
+   */
+  getProfile(clientId) {
+    const state = this.clients.get(clientId);
+    if (!state || !state.profile) return null;
+
+    return {
+      profile: state.profile,
+      settings: { ...state.settings },
+      stalls: state.stalls,
+    };
+  }
+
+  /**
+   * Route a client's outgoing WebSocket messages through its latency and jitter
+   * @param {string} clientId - Client identifier
+   * @param {WebSocket} ws - Client's socket
+   */
+  attach(clientId, ws) {
+    const send = ws.send.bind(ws);
+
+    ws.send = (data, options, callback) =>
+      this.deliver(clientId, () => {
+        if (ws.readyState === WebSocket.OPEN) {
+          send(data, options, callback);
+        }
+      });
+  }
+
+  /**
+   * Run a send now, or after the client's latency plus jitter
+   * Delivery times never go backwards, so messages keep their order
+   * @param {string} clientId - Client identifier
+   * @param {Function} send - Performs the send
+   */
+  deliver(clientId, send) {
+    const state = this.clients.get(clientId);
+    const now = Date.now();
+
+    if (
+      !state ||
+      (state.nextDeliverAt <= now &&
+        !state.settings.latency &&
+        !state.settings.jitter)
+    ) {
+      send();
+      return;
+    }
+
+    const deliverAt = Math.max(
+      state.nextDeliverAt,
+      now + state.settings.latency + Math.random() * state.settings.jitter,
+    );
+    state.nextDeliverAt = deliverAt;
+    setTimeout(send, deliverAt - now);
+  }
+
+  /**
+   * Get how long a client's link is still busy with earlier chunks (or a stall)
+   * @param {string} clientId - Client identifier
+   * @returns {number} Milliseconds to wait before sending the next chunk
+   */
+  getSendDelay(clientId) {
+    const state = this.clients.get(clientId);
+    return state ? Math.max(0, state.nextSendAt - Date.now()) : 0;
+  }
+
+  /**
+   * Account for a chunk put on a client's link
+   * @param {string} clientId - Client identifier
+   * @param {number} bytes - Bytes sent
+   */
+  recordSend(clientId, bytes) {
+    const state = this.clients.get(clientId);
+    if (!state) return;
+
+    const settings = state.settings;
+    let busyMs = settings.bandwidth ? (bytes / settings.bandwidth) * 1000 : 0;
+    if (Math.random() < settings.stallProbability) {
+      busyMs += settings.stallDuration;
+      state.stalls++;
+    }
+
+    state.nextSendAt = Math.max(Date.now(), state.nextSendAt) + busyMs;
+  }
+
+  /**
+   * Forget a disconnected client
+   * @param {string} clientId - Client identifier
+   */
+  removeClient(clientId) {
+    this.clients.delete(clientId);
+  }
+
+  /**
+   * Fill in and check profile settings
+   * @param {Object} values - Profile and override values
+   * @returns {Object} Settings with every field set
+   * @throws {Error} If a setting is negative or a probability is above 1
+   */
+  buildSettings(values) {
+    const settings = {};
+    for (const key of SETTINGS) {
+      const value = values[key] === undefined ? 0 : values[key];
+      if (typeof value !== "number" || !(value >= 0)) {
+        throw new Error(`Network setting ${key} must be a non-negative number`);
+      }
+      settings[key] = value;
+    }
+
+    if (settings.stallProbability > 1) {
+      throw new Error("Network setting stallProbability must be at most 1");
+    }
+    return settings;
+  }
+}
+
+NetworkShaper.PROFILES = PROFILES;
+
+module.exports = NetworkShaper;
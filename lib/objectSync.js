@@ -4,9 +4,19 @@
  */
 
 class ObjectSync {
-  constructor() {
+  constructor(options = {}) {
     // Map of roomId -> Map of objectId -> objectState
     this.rooms = new Map();
+
+    // Optional persistence backend (see lib/roomStore.js)
+    this.store = options.store || null;
+
+    // Transform updates arrive many times a second while objects are moved, so
+    // only the latest state of each updated object is journaled, once per interval
+    this.persistInterval =
+      options.persistInterval !== undefined ? options.persistInterval : 1000;
+    this.pendingUpdates = new Map(); // roomId -> Map of objectId -> objectState
+    this.flushTimer = null;
     this.objectIdCounter = 0;
 
     // Ownership tracking: objectId -> { userId, grabbedAt, timeout }
@@ -51,6 +61,11 @@ class ObjectSync {
     this.rooms.get(roomId).set(objectId, objectState);
     console.log(`ObjectSync: Created object ${objectId} in room ${roomId}`);
 
+    this.persist(roomId, {
+      op: "create",
+      object: this.toPersisted(objectState),
+    });
+
     return objectState;
   }
 
@@ -77,6 +92,8 @@ class ObjectSync {
     object.updatedAt = Date.now();
 
     console.log(`ObjectSync: Updated object ${objectId} in room ${roomId}`);
+
+    this.persistUpdate(roomId, object);
     return object;
   }
 
@@ -92,6 +109,11 @@ class ObjectSync {
     const deleted = room.delete(objectId);
     if (deleted) {
       console.log(`ObjectSync: Deleted object ${objectId} from room ${roomId}`);
+      const pending = this.pendingUpdates.get(roomId);
+      if (pending) {
+        pending.delete(objectId);
+      }
+      this.persist(roomId, { op: "delete", objectId });
     }
     return deleted;
   }
@@ -135,6 +157,7 @@ class ObjectSync {
    * Delete a room and all its objects
    */
   deleteRoom(roomId) {
+    this.pendingUpdates.delete(roomId);
     const deleted = this.rooms.delete(roomId);
     if (deleted) {
       console.log(`ObjectSync: Deleted room ${roomId}`);
@@ -142,6 +165,188 @@ class ObjectSync {
     return deleted;
   }
 
+  /**
+   * Restore all rooms from the persistence backend (called on startup)
+   * Returns the number of rooms restored
+   */
+  async restore() {
+    if (!this.store) {
+      return 0;
+    }
+
+    const rooms = await this.store.loadRooms();
+
+    rooms.forEach((objects, roomId) => {
+      const room = new Map();
+      objects.forEach((objectData) => {
+        room.set(objectData.id, { ...objectData, ownedBy: null });
+      });
+      this.rooms.set(roomId, room);
+      console.log(
+        `ObjectSync: Restored ${room.size} objects in room ${roomId}`
+      );
+    });
+
+    return rooms.size;
+  }
+
+  /**
+   * Export a room's objects as a snapshot
+   */
+  getSnapshot(roomId) {
+    return {
+      version: 1,
+      roomId: roomId,
+      savedAt: Date.now(),
+      objects: this.getRoomObjects(roomId).map((object) =>
+        this.toPersisted(object)
+      ),
+    };
+  }
+
+  /**
+   * Replace a room's objects with the contents of a snapshot
+   * Ownership is cleared; the snapshot is written through to the store
+   */
+  async restoreSnapshot(roomId, snapshot) {
+    const timestamp = Date.now();
+
+    // Drop ownership timers for objects being replaced
+    const existing = this.rooms.get(roomId);
+    if (existing) {
+      existing.forEach((object, objectId) => {
+        const ownershipData = this.objectOwnership.get(objectId);
+        if (ownershipData && ownershipData.timeout) {
+          clearTimeout(ownershipData.timeout);
+        }
+        this.objectOwnership.delete(objectId);
+      });
+    }
+
+    const room = new Map();
+    snapshot.objects.forEach((objectData) => {
+      const objectId = objectData.id || this.generateObjectId();
+      room.set(objectId, {
+        id: objectId,
+        type: objectData.type || "cube",
+        position: objectData.position || [0, 1, -2],
+        rotation: objectData.rotation || [0, 0, 0],
+        scale: objectData.scale || [1, 1, 1],
+        color: objectData.color !== undefined ? objectData.color : 0x4caf50,
+        createdBy: objectData.createdBy,
+        createdAt: objectData.createdAt || timestamp,
+        updatedAt: timestamp,
+        ownedBy: null,
+      });
+    });
+
+    this.rooms.set(roomId, room);
+    // Updates to the replaced objects must not land after the snapshot
+    this.pendingUpdates.delete(roomId);
+
+    const objects = Array.from(room.values());
+    if (this.store) {
+      await this.store.writeSnapshot(roomId, objects);
+    }
+
+    console.log(
+      `ObjectSync: Restored room ${roomId} from snapshot (${objects.length} objects)`
+    );
+    return objects;
+  }
+
+  /**
+   * Journal a change through the persistence backend
+   * Pending updates for the room are written first so the journal stays in order
+   */
+  persist(roomId, entry) {
+    if (!this.store) {
+      return;
+    }
+
+    this.flushRoom(roomId);
+    this.append(roomId, entry);
+  }
+
+  /**
+   * Queue an object's latest state for the next journal flush
+   */
+  persistUpdate(roomId, object) {
+    if (!this.store) {
+      return;
+    }
+
+    if (!this.pendingUpdates.has(roomId)) {
+      this.pendingUpdates.set(roomId, new Map());
+    }
+    this.pendingUpdates.get(roomId).set(object.id, object);
+
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(
+        () => this.flushUpdates(),
+        this.persistInterval
+      );
+    }
+  }
+
+  /**
+   * Journal the pending updates of every room
+   */
+  flushUpdates() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    Array.from(this.pendingUpdates.keys()).forEach((roomId) =>
+      this.flushRoom(roomId)
+    );
+  }
+
+  /**
+   * Journal all pending updates and wait until the store has written them
+   */
+  async flush() {
+    if (!this.store) {
+      return;
+    }
+
+    this.flushUpdates();
+    await this.store.whenIdle();
+  }
+
+  /**
+   * Journal the pending updates of one room, one entry per object
+   */
+  flushRoom(roomId) {
+    const pending = this.pendingUpdates.get(roomId);
+    if (!pending) {
+      return;
+    }
+
+    this.pendingUpdates.delete(roomId);
+    pending.forEach((object) =>
+      this.append(roomId, { op: "update", object: this.toPersisted(object) })
+    );
+  }
+
+  /**
+   * Append a journal entry, logging (not throwing) write failures
+   */
+  append(roomId, entry) {
+    this.store.append(roomId, entry).catch((error) => {
+      console.error(
+        `ObjectSync: Failed to persist change in room ${roomId}:`,
+        error
+      );
+    });
+  }
+
+  /**
+   * Copy of an object without transient ownership state
+   */
+  toPersisted(object) {
+    return { ...object, ownedBy: null };
+  }
+
   /**
    * Generate a unique object ID
    */
@@ -299,6 +504,29 @@ class ObjectSync {
     );
     return releasedCount;
   }
+
+  /**
+   * Release objects a user owns in a single room (called when user switches rooms)
+   */
+  releaseUserObjectsInRoom(userId, roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) {
+      return [];
+    }
+
+    const released = [];
+    room.forEach((object, objectId) => {
+      if (object.ownedBy === userId) {
+        this.releaseObject(roomId, objectId, userId);
+        released.push(objectId);
+      }
+    });
+
+    console.log(
+      `ObjectSync: Released ${released.length} objects owned by user ${userId} in room ${roomId}`
+    );
+    return released;
+  }
 }
 
 module.exports = ObjectSync;
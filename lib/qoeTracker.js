@@ -0,0 +1,325 @@
+// QoE Tracker - Per-session quality-of-experience telemetry
+// Clients report what the viewer actually experienced (time to first render, LOD
+// switches, stall time, time on screen per LOD, FPS, bytes received) in qoe-report
+// messages; the tracker keeps the latest totals per session alongside what the
+// server saw (bytes sent, ABR strategy, network profile) and a timeline of reports
+// for the downloadable session report. A session is a client ID, so it spans
+// resumed connections, and it is kept for a while after it ends.
+
+// Reports kept per session for the timeline
+const MAX_SAMPLES = 360; // 1 hour of reports at the client's 10s interval
+
+class QoeTracker {
+  /**
+   * @param {Object} options - Tracker settings
+   * @param {number} options.retention - How long (ms) an ended session's data is kept
+   * @param {Function} options.getLodLevels - (assetId) => LOD levels from smallest to
+   *   largest, used to place each LOD on the ladder for the average LOD
+   */
+  constructor(options = {}) {
+    this.retention =
+      options.retention !== undefined ? options.retention : 60 * 60 * 1000;
+    this.getLodLevels = options.getLodLevels || (() => []);
+
+    // clientId -> { room, connectedAt, endedAt, reconnects, bytesSent, base,
+    //               latest, reports, lastReportAt, context, samples, expiryTimer }
+    this.sessions = new Map();
+  }
+
+  /**
+   * Start tracking a session, or pick it up again after a reconnect
+   * @param {string} clientId - Client identifier (the session ID)
+   * @param {string} room - Room the client is in
+   */
+  startSession(clientId, room) {
+    const session = this.sessions.get(clientId);
+    if (session) {
+      clearTimeout(session.expiryTimer);
+      session.expiryTimer = null;
+      session.endedAt = null;
+      session.reconnects++;
+      return;
+    }
+
+    this.sessions.set(clientId, {
+      room: room,
+      connectedAt: Date.now(),
+      endedAt: null,
+      reconnects: 0,
+      bytesSent: 0,
+      base: null,
+      latest: null,
+      reports: 0,
+      lastReportAt: null,
+      context: {},
+      samples: [],
+      expiryTimer: null,
+    });
+  }
+
+  /**
+   * Store a client's qoe-report
+   * @param {string} clientId - Client identifier
+   * @param {Object} report - Validated qoe-report message
+   * @param {Object} context - Server-side state when the report arrived
+   *   ({ room, abrStrategy, networkProfile })
+   * @returns {boolean} False if the session is not tracked
+   */
+  recordReport(clientId, report, context = {}) {
+    const session = this.sessions.get(clientId);
+    if (!session) return false;
+
+    const totals = this.normalizeReport(report);
+
+    // Reports carry totals since the page loaded; uptime going backwards means
+    // the page was reloaded and resumed the session, so add up the earlier load
+    if (session.latest && totals.uptime < session.latest.uptime) {
+      session.base = this.combine(session.base, session.latest);
+    }
+    session.latest = totals;
+    session.reports++;
+    session.lastReportAt = Date.now();
+    session.context = { ...context };
+    if (context.room) {
+      session.room = context.room;
+    }
+
+    const combined = this.combine(session.base, session.latest);
+    session.samples.push({
+      at: session.lastReportAt,
+      stallTime: combined.stallTime,
+      lodSwitches: combined.lodSwitches,
+      fps: combined.fps.current,
+      bytesReceived: combined.bytesReceived,
+      bytesSent: session.bytesSent,
+      assetId: report.assetId || null,
+      lod: report.lod || null,
+      ...session.context,
+    });
+    if (session.samples.length > MAX_SAMPLES) {
+      session.samples.shift();
+    }
+    return true;
+  }
+
+  /**
+   * Follow a client into another room
+   * @param {string} clientId - Client identifier
+   * @param {string} room - Room the client is now in
+   */
+  setRoom(clientId, room) {
+    const session = this.sessions.get(clientId);
+    if (session) {
+      session.room = room;
+    }
+  }
+
+  /**
+   * Account for a chunk the server sent to a client
+   * @param {string} clientId - Client identifier
+   * @param {number} bytes - Bytes sent
+   */
+  recordBytesSent(clientId, bytes) {
+    const session = this.sessions.get(clientId);
+    if (session) {
+      session.bytesSent += bytes;
+    }
+  }
+
+  /**
+   * Mark a session as ended; its data is dropped after the retention period
+   * @param {string} clientId - Client identifier
+   */
+  endSession(clientId) {
+    const session = this.sessions.get(clientId);
+    if (!session) return;
+
+    clearTimeout(session.expiryTimer);
+    session.endedAt = Date.now();
+    session.expiryTimer = setTimeout(
+      () => this.sessions.delete(clientId),
+      this.retention,
+    );
+  }
+
+  /**
+   * List the tracked sessions, including ended ones not yet expired
+   * @returns {Array<string>} Session IDs
+   */
+  getSessionIds() {
+    return Array.from(this.sessions.keys());
+  }
+
+  /**
+   * Get a session's QoE summary
+   * @param {string} clientId - Client identifier
+   * @returns {Object|null} Summary, or null if the session is unknown or expired
+   */
+  getSession(clientId) {
+    const session = this.sessions.get(clientId);
+    if (!session) return null;
+
+    const totals = this.combine(session.base, session.latest);
+
+    return {
+      sessionId: clientId,
+      room: session.room,
+      connectedAt: new Date(session.connectedAt).toISOString(),
+      endedAt: session.endedAt ? new Date(session.endedAt).toISOString() : null,
+      reconnects: session.reconnects,
+      reports: session.reports,
+      lastReportAt: session.lastReportAt
+        ? new Date(session.lastReportAt).toISOString()
+        : null,
+      qoe: totals
+        ? {
+            timeToFirstRender: totals.timeToFirstRender,
+            lodSwitches: totals.lodSwitches,
+            stallTime: totals.stallTime,
+            averageLod: this.getAverageLod(totals.lodTime),
+            fps: totals.fps,
+            bytesReceived: totals.bytesReceived,
+            lodTime: totals.lodTime,
+          }
+        : null,
+      server: {
+        bytesSent: session.bytesSent,
+        abrStrategy: session.context.abrStrategy || null,
+        networkProfile: session.context.networkProfile || null,
+      },
+    };
+  }
+
+  /**
+   * Get a session's full report: the summary plus the timeline of reports
+   * @param {string} clientId - Client identifier
+   * @returns {Object|null} Report, or null if the session is unknown or expired
+   */
+  getReport(clientId) {
+    const summary = this.getSession(clientId);
+    if (!summary) return null;
+
+    return {
+      generatedAt: new Date().toISOString(),
+      ...summary,
+      samples: this.sessions.get(clientId).samples.map((sample) => ({
+        ...sample,
+        at: new Date(sample.at).toISOString(),
+      })),
+    };
+  }
+
+  /**
+   * Average position on the LOD ladder, weighted by time on screen
+   * @param {Array<Object>} lodTime - [{ assetId, lod, ms }]
+   * @returns {number|null} 0 for the smallest LOD up to 1 for the largest, or
+   *   null before anything was shown
+   */
+  getAverageLod(lodTime) {
+    let weighted = 0;
+    let total = 0;
+
+    for (const entry of lodTime) {
+      const levels = this.getLodLevels(entry.assetId);
+      const index = levels.indexOf(entry.lod);
+      if (index === -1 || !entry.ms) continue;
+
+      const position = levels.length > 1 ? index / (levels.length - 1) : 1;
+      weighted += position * entry.ms;
+      total += entry.ms;
+    }
+
+    return total ? Math.round((weighted / total) * 100) / 100 : null;
+  }
+
+  /**
+   * Fill in defaults and drop malformed LOD time entries
+   * @param {Object} report - qoe-report message
+   * @returns {Object} Totals for one page load
+   */
+  normalizeReport(report) {
+    const fps = report.fps || {};
+
+    return {
+      uptime: report.uptime,
+      timeToFirstRender:
+        typeof report.timeToFirstRender === "number"
+          ? report.timeToFirstRender
+          : null,
+      lodSwitches: report.lodSwitches || 0,
+      stallTime: report.stallTime || 0,
+      bytesReceived: report.bytesReceived || 0,
+      fps: {
+        average: fps.average || 0,
+        min: typeof fps.min === "number" ? fps.min : null,
+        current: fps.current || 0,
+        samples: fps.samples || 0,
+      },
+      lodTime: (report.lodTime || [])
+        .filter(
+          (entry) =>
+            typeof entry.assetId === "string" &&
+            typeof entry.lod === "string" &&
+            typeof entry.ms === "number" &&
+            entry.ms >= 0,
+        )
+        .map((entry) => ({
+          assetId: entry.assetId,
+          lod: entry.lod,
+          ms: entry.ms,
+        })),
+    };
+  }
+
+  /**
+   * Add up the totals of an earlier page load and a later one
+   * @param {Object|null} earlier - Totals of earlier page loads
+   * @param {Object|null} later - Totals of the later page load
+   * @returns {Object|null} Combined totals
+   */
+  combine(earlier, later) {
+    if (!earlier || !later) return earlier || later;
+
+    const samples = earlier.fps.samples + later.fps.samples;
+    const mins = [earlier.fps.min, later.fps.min].filter((min) => min !== null);
+
+    const lodTime = earlier.lodTime.map((entry) => ({ ...entry }));
+    for (const entry of later.lodTime) {
+      const match = lodTime.find(
+        (existing) =>
+          existing.assetId === entry.assetId && existing.lod === entry.lod,
+      );
+      if (match) {
+        match.ms += entry.ms;
+      } else {
+        lodTime.push({ ...entry });
+      }
+    }
+
+    return {
+      uptime: earlier.uptime + later.uptime,
+      timeToFirstRender:
+        earlier.timeToFirstRender !== null
+          ? earlier.timeToFirstRender
+          : later.timeToFirstRender,
+      lodSwitches: earlier.lodSwitches + later.lodSwitches,
+      stallTime: earlier.stallTime + later.stallTime,
+      bytesReceived: earlier.bytesReceived + later.bytesReceived,
+      fps: {
+        average: samples
+          ? (earlier.fps.average * earlier.fps.samples +
+              later.fps.average * later.fps.samples) /
+            samples
+          : 0,
+        min: mins.length ? Math.min(...mins) : null,
+        current: later.fps.current,
+        samples: samples,
+      },
+      lodTime: lodTime,
+    };
+  }
+}
+
+QoeTracker.MAX_SAMPLES = MAX_SAMPLES;
+
+module.exports = QoeTracker;
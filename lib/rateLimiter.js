@@ -0,0 +1,178 @@
+// Rate Limiter - Token-bucket flood protection for WebSocket messages
+// Each client gets one bucket per message type plus a bucket shared by all its messages
+
+// Default quotas: rate = tokens refilled per second, burst = bucket capacity
+const DEFAULT_LIMITS = {
+  "*": { rate: 100, burst: 200 }, // All messages from one client combined
+  default: { rate: 10, burst: 20 }, // Any type without its own entry
+  hello: { rate: 1, burst: 3 },
+  ping: { rate: 2, burst: 5 },
+  signal: { rate: 50, burst: 200 }, // ICE candidates arrive in bursts
+  request_asset: { rate: 5, burst: 20 },
+  request_nerf: { rate: 1, burst: 5 },
+  reprioritize_stream: { rate: 10, burst: 30 }, // Sent as the user looks around
+  cancel_stream: { rate: 10, burst: 30 },
+  cancel_asset: { rate: 5, burst: 20 },
+  cancel_nerf: { rate: 1, burst: 5 },
+  open_data_channel: { rate: 1, burst: 3 },
+  transport_signal: { rate: 50, burst: 200 }, // ICE candidates arrive in bursts
+  set_abr_strategy: { rate: 1, burst: 5 },
+  set_network_profile: { rate: 1, burst: 5 },
+  list_assets: { rate: 1, burst: 5 },
+  "bandwidth-metrics": { rate: 2, burst: 5 },
+  "qoe-report": { rate: 1, burst: 3 }, // Client reports every 10s
+  "head-tracking": { rate: 30, burst: 60 }, // Client sends at 10Hz
+  "position-update": { rate: 30, burst: 60 },
+  "join-room": { rate: 1, burst: 5 },
+  "leave-room": { rate: 1, burst: 5 },
+  "create-object": { rate: 2, burst: 10 },
+  "update-object": { rate: 20, burst: 40 },
+  "delete-object": { rate: 5, burst: 10 },
+  "grab-object": { rate: 5, burst: 10 },
+  "release-object": { rate: 5, burst: 10 },
+  "move-object": { rate: 60, burst: 120 },
+};
+
+class RateLimiter {
+  constructor(options = {}) {
+    // Per-type quotas; overrides may set just rate or just burst, and a type
+    // without its own default starts from the default entry
+    this.limits = { ...DEFAULT_LIMITS };
+    for (const [type, limit] of Object.entries(options.limits || {})) {
+      this.limits[type] = this.buildLimit(
+        type,
+        this.limits[type] || this.limits.default,
+        limit,
+      );
+    }
+
+    // Throttled messages tolerated within violationWindow before a client is
+    // considered abusive
+    this.maxViolations = options.maxViolations || 50;
+    this.violationWindow = options.violationWindow || 10000;
+
+    // clientId -> { buckets: Map<type, bucket>, violations: [timestamps] }
+    this.clients = new Map();
+  }
+
+  /**
+   * Apply a quota override
+   * @param {string} type - Message type the quota is for
+   * @param {Object} base - Quota being overridden
+   * @param {Object} override - { rate, burst }, either may be left out
+   * @returns {Object} Quota with rate and burst set
+   * @throws {Error} If the override is not an object or a value is not positive
+   */
+  buildLimit(type, base, override) {
+    if (!override || typeof override !== "object" || Array.isArray(override)) {
+      throw new Error(`Rate limit for ${type} must be an object`);
+    }
+
+    const limit = { ...base, ...override };
+    for (const key of ["rate", "burst"]) {
+      if (typeof limit[key] !== "number" || !(limit[key] > 0)) {
+        throw new Error(
+          `Rate limit ${key} for ${type} must be a positive number`,
+        );
+      }
+    }
+    return limit;
+  }
+
+  /**
+   * Take one token for a message
+   * @param {string} clientId - Client identifier
+   * @param {string} messageType - Message type
+   * @returns {Object} { allowed, retryAfter (ms), notify, abusive }
+   *   notify is true for the first rejection of a throttling episode, so callers
+   *   can reply once instead of once per dropped message
+   */
+  consume(clientId, messageType) {
+    const now = Date.now();
+    const client = this.getClient(clientId);
+
+    const typeKey = this.limits[messageType] ? messageType : "default";
+    const buckets = [
+      this.getBucket(client, "*", now),
+      this.getBucket(client, typeKey, now),
+    ];
+
+    const empty = buckets.find((bucket) => bucket.tokens < 1);
+    if (!empty) {
+      buckets.forEach((bucket) => bucket.tokens--);
+      return { allowed: true, retryAfter: 0, notify: false, abusive: false };
+    }
+
+    // Time until the empty bucket holds a whole token again
+    const retryAfter = Math.ceil(((1 - empty.tokens) / empty.rate) * 1000);
+
+    const notify = now >= empty.notifiedUntil;
+    if (notify) {
+      empty.notifiedUntil = now + retryAfter;
+    }
+
+    client.violations.push(now);
+    while (client.violations[0] <= now - this.violationWindow) {
+      client.violations.shift();
+    }
+
+    return {
+      allowed: false,
+      retryAfter: retryAfter,
+      notify: notify,
+      abusive: client.violations.length > this.maxViolations,
+    };
+  }
+
+  /**
+   * Drop all buckets for a client
+   * @param {string} clientId - Client identifier
+   */
+  removeClient(clientId) {
+    this.clients.delete(clientId);
+  }
+
+  getClient(clientId) {
+    if (!this.clients.has(clientId)) {
+      this.clients.set(clientId, { buckets: new Map(), violations: [] });
+    }
+    return this.clients.get(clientId);
+  }
+
+  /**
+   * Get a bucket, refilled for the time elapsed since it was last used
+   * @param {Object} client - Client state
+   * @param {string} key - Message type, 'default' or '*'
+   * @param {number} now - Current time (ms)
+   * @returns {Object} { tokens, rate, burst, lastRefill, notifiedUntil }
+   */
+  getBucket(client, key, now) {
+    const limit = this.limits[key];
+    let bucket = client.buckets.get(key);
+
+    if (!bucket) {
+      bucket = {
+        tokens: limit.burst,
+        rate: limit.rate,
+        burst: limit.burst,
+        lastRefill: now,
+        notifiedUntil: 0,
+      };
+      client.buckets.set(key, bucket);
+      return bucket;
+    }
+
+    const elapsed = (now - bucket.lastRefill) / 1000;
+    bucket.tokens = Math.min(
+      bucket.burst,
+      bucket.tokens + elapsed * bucket.rate,
+    );
+    bucket.lastRefill = now;
+
+    return bucket;
+  }
+}
+
+RateLimiter.DEFAULT_LIMITS = DEFAULT_LIMITS;
+
+module.exports = RateLimiter;
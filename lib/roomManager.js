@@ -31,27 +31,53 @@ class RoomManager {
   }
 
   removeUser(userId) {
-    let userRoom = null;
+    const userRoom = this.detachUser(userId);
 
+    this.userPositions.delete(userId);
+
+    console.log(
+      `User ${userId} left room ${userRoom}. Remaining users: ${userRoom ? this.rooms.get(userRoom)?.size || 0 : 0}`,
+    );
+
+    return userRoom;
+  }
+
+  moveUser(userId, room = this.defaultRoom) {
+    if (!this.userPositions.has(userId)) {
+      return null;
+    }
+
+    const previousRoom = this.detachUser(userId);
+
+    if (!this.rooms.has(room)) {
+      this.rooms.set(room, new Set());
+    }
+
+    this.rooms.get(room).add(userId);
+
+    console.log(
+      `User ${userId} moved from room ${previousRoom} to ${room}. Room size: ${this.rooms.get(room).size}`,
+    );
+
+    return {
+      previousRoom,
+      room,
+      users: Array.from(this.rooms.get(room)).filter((id) => id !== userId),
+    };
+  }
+
+  detachUser(userId) {
     for (const [room, users] of this.rooms.entries()) {
       if (users.has(userId)) {
         users.delete(userId);
-        userRoom = room;
 
         if (users.size === 0) {
           this.rooms.delete(room);
         }
-        break;
+        return room;
       }
     }
-
-    this.userPositions.delete(userId);
-
-    console.log(
-      `User ${userId} left room ${userRoom}. Remaining users: ${userRoom ? this.rooms.get(userRoom)?.size || 0 : 0}`,
-    );
-
-    return userRoom;
+    return null;
   }
 
   updateUserPosition(userId, positionData) {
@@ -86,6 +112,10 @@ class RoomManager {
     return [];
   }
 
+  isUserInRoom(userId, room) {
+    return this.rooms.has(room) && this.rooms.get(room).has(userId);
+  }
+
   getAllUserPositions(room = this.defaultRoom) {
     const users = this.rooms.get(room);
     if (!users) return {};
@@ -126,6 +156,14 @@ class RoomManager {
     return colors[Math.floor(Math.random() * colors.length)];
   }
 
+  getUserCount() {
+    return this.userPositions.size;
+  }
+
+  getRoomIds() {
+    return Array.from(this.rooms.keys());
+  }
+
   getRoomStats() {
     const stats = {};
     for (const [room, users] of this.rooms.entries()) {
@@ -0,0 +1,237 @@
+// Room Store - File-backed persistence for shared room state
+// Keeps a JSON snapshot plus an NDJSON journal of object changes per room
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Default persistence backend for ObjectSync.
+ * Any object implementing init(), append(), writeSnapshot(), loadRooms(),
+ * deleteRoom() and whenIdle() can be passed to ObjectSync in its place.
+ */
+class RoomStore {
+  constructor(options = {}) {
+    // Directory holding <room>.json snapshots and <room>.ndjson journals
+    this.dataDir = options.dataDir || path.join(__dirname, "../data/rooms");
+
+    // Journal entries before a room is compacted into its snapshot
+    this.compactThreshold = options.compactThreshold || 500;
+
+    // Per-room promise chains keep writes for a room ordered
+    this.writeQueues = new Map();
+
+    // Journal entry counts since the last snapshot: roomId -> count
+    this.journalSizes = new Map();
+  }
+
+  /**
+   * Initialize the store (create data directory)
+   */
+  async init() {
+    await fs.promises.mkdir(this.dataDir, { recursive: true });
+    console.log(`RoomStore: Using data directory ${this.dataDir}`);
+  }
+
+  /**
+   * Append an object change to a room's journal
+   * @param {string} roomId - Room identifier
+   * @param {Object} entry - Journal entry ({ op: 'create'|'update'|'delete', object?, objectId? })
+   * @returns {Promise<void>} Resolves once the entry is on disk
+   */
+  append(roomId, entry) {
+    const line = JSON.stringify({ ...entry, ts: Date.now() }) + "\n";
+
+    return this.enqueue(roomId, async () => {
+      await fs.promises.appendFile(this.journalPath(roomId), line);
+
+      const size = (this.journalSizes.get(roomId) || 0) + 1;
+      this.journalSizes.set(roomId, size);
+
+      if (size >= this.compactThreshold) {
+        await this.compact(roomId);
+      }
+    });
+  }
+
+  /**
+   * Replace a room's persisted state with a full snapshot
+   * @param {string} roomId - Room identifier
+   * @param {Array<Object>} objects - Complete object list for the room
+   * @returns {Promise<void>}
+   */
+  writeSnapshot(roomId, objects) {
+    return this.enqueue(roomId, () => this.saveSnapshot(roomId, objects));
+  }
+
+  /**
+   * Load every persisted room
+   * @returns {Promise<Map<string, Array<Object>>>} roomId -> objects
+   */
+  async loadRooms() {
+    const rooms = new Map();
+
+    let files;
+    try {
+      files = await fs.promises.readdir(this.dataDir);
+    } catch (error) {
+      if (error.code === "ENOENT") return rooms;
+      throw error;
+    }
+
+    const roomIds = new Set();
+    for (const file of files) {
+      const match = file.match(/^(.+)\.(json|ndjson)$/);
+      if (match) {
+        roomIds.add(decodeURIComponent(match[1]));
+      }
+    }
+
+    for (const roomId of roomIds) {
+      rooms.set(roomId, await this.loadRoom(roomId));
+    }
+
+    return rooms;
+  }
+
+  /**
+   * Load a single room by replaying its journal over its snapshot
+   * @param {string} roomId - Room identifier
+   * @returns {Promise<Array<Object>>} Objects in the room
+   */
+  async loadRoom(roomId) {
+    const objects = new Map();
+
+    const snapshot = await this.readFileIfExists(this.snapshotPath(roomId));
+    if (snapshot) {
+      const data = JSON.parse(snapshot);
+      (data.objects || []).forEach((object) => objects.set(object.id, object));
+    }
+
+    const journal = await this.readFileIfExists(this.journalPath(roomId));
+    let entries = 0;
+    if (journal) {
+      for (const line of journal.split("\n")) {
+        if (!line.trim()) continue;
+
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          // A torn final line from a crash mid-write is skipped
+          console.warn(
+            `RoomStore: Skipping malformed journal line in ${roomId}`,
+          );
+          continue;
+        }
+
+        if (entry.op === "create" || entry.op === "update") {
+          objects.set(entry.object.id, entry.object);
+        } else if (entry.op === "delete") {
+          objects.delete(entry.objectId);
+        }
+        entries++;
+      }
+    }
+
+    this.journalSizes.set(roomId, entries);
+
+    return Array.from(objects.values());
+  }
+
+  /**
+   * Remove all persisted state for a room
+   * @param {string} roomId - Room identifier
+   * @returns {Promise<void>}
+   */
+  deleteRoom(roomId) {
+    return this.enqueue(roomId, async () => {
+      await fs.promises.rm(this.snapshotPath(roomId), { force: true });
+      await fs.promises.rm(this.journalPath(roomId), { force: true });
+      this.journalSizes.delete(roomId);
+    });
+  }
+
+  /**
+   * Fold a room's journal into its snapshot
+   * Must be called from within the room's write queue
+   * @param {string} roomId - Room identifier
+   */
+  async compact(roomId) {
+    const objects = await this.loadRoom(roomId);
+    await this.saveSnapshot(roomId, objects);
+    console.log(
+      `RoomStore: Compacted room ${roomId} (${objects.length} objects)`,
+    );
+  }
+
+  /**
+   * Write a snapshot atomically and truncate the journal
+   * Must be called from within the room's write queue
+   * @param {string} roomId - Room identifier
+   * @param {Array<Object>} objects - Objects to store
+   */
+  async saveSnapshot(roomId, objects) {
+    const snapshotPath = this.snapshotPath(roomId);
+    const tempPath = `${snapshotPath}.tmp`;
+
+    await fs.promises.writeFile(
+      tempPath,
+      JSON.stringify({
+        version: 1,
+        roomId: roomId,
+        savedAt: Date.now(),
+        objects: objects,
+      }),
+    );
+    await fs.promises.rename(tempPath, snapshotPath);
+    await fs.promises.rm(this.journalPath(roomId), { force: true });
+
+    this.journalSizes.set(roomId, 0);
+  }
+
+  /**
+   * Wait for every queued write to finish (failed writes included)
+   * @returns {Promise<void>}
+   */
+  async whenIdle() {
+    await Promise.all(this.writeQueues.values());
+  }
+
+  /**
+   * Run a write task after all pending writes for the same room
+   * @param {string} roomId - Room identifier
+   * @param {Function} task - Async task
+   * @returns {Promise<void>}
+   */
+  enqueue(roomId, task) {
+    const previous = this.writeQueues.get(roomId) || Promise.resolve();
+    const next = previous.then(task);
+
+    // Keep the chain alive after a failed write; the caller sees the error
+    this.writeQueues.set(
+      roomId,
+      next.catch(() => {}),
+    );
+
+    return next;
+  }
+
+  async readFileIfExists(filePath) {
+    try {
+      return await fs.promises.readFile(filePath, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  snapshotPath(roomId) {
+    return path.join(this.dataDir, `${encodeURIComponent(roomId)}.json`);
+  }
+
+  journalPath(roomId) {
+    return path.join(this.dataDir, `${encodeURIComponent(roomId)}.ndjson`);
+  }
+}
+
+module.exports = RoomStore;
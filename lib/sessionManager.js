@@ -0,0 +1,130 @@
+// Session Manager - Resume tokens for clients reconnecting after a dropped socket
+// Keeps a disconnected client's identity alive for a grace window so it can be reclaimed
+
+const crypto = require("crypto");
+
+class SessionManager {
+  constructor(options = {}) {
+    // How long a disconnected session can be resumed (ms)
+    this.gracePeriod =
+      options.gracePeriod !== undefined ? options.gracePeriod : 30000;
+
+    // clientId -> { token, expiryTimer }
+    this.sessions = new Map();
+
+    // token -> clientId
+    this.tokens = new Map();
+  }
+
+  /**
+   * Issue a resume token for a client, replacing any previous token
+   * @param {string} clientId - Client identifier
+   * @returns {string} Resume token to hand to the client
+   */
+  createSession(clientId) {
+    const existing = this.sessions.get(clientId);
+    if (existing) {
+      this.tokens.delete(existing.token);
+    }
+
+    const token = crypto.randomBytes(24).toString("hex");
+    this.sessions.set(clientId, {
+      token,
+      expiryTimer: existing ? existing.expiryTimer : null,
+    });
+    this.tokens.set(token, clientId);
+
+    return token;
+  }
+
+  /**
+   * Look up the client a resume token belongs to without consuming it
+   * @param {string} token - Resume token from the client
+   * @returns {string|null} Client ID, or null if unknown/expired
+   */
+  getClientId(token) {
+    if (typeof token !== "string") return null;
+    return this.tokens.get(token) || null;
+  }
+
+  /**
+   * Reclaim a session by its resume token
+   * The token is single-use; call createSession() to issue a new one
+   * @param {string} token - Resume token from the client
+   * @returns {string|null} Client ID of the session, or null if unknown/expired
+   */
+  resume(token) {
+    if (typeof token !== "string" || !this.tokens.has(token)) {
+      return null;
+    }
+
+    const clientId = this.tokens.get(token);
+    const session = this.sessions.get(clientId);
+
+    this.tokens.delete(token);
+
+    if (session.expiryTimer) {
+      clearTimeout(session.expiryTimer);
+      session.expiryTimer = null;
+    }
+
+    console.log(`SessionManager: Resumed session for client ${clientId}`);
+    return clientId;
+  }
+
+  /**
+   * Start the grace window for a disconnected client
+   * @param {string} clientId - Client identifier
+   * @param {Function} onExpire - Called if the session is not resumed in time
+   */
+  suspend(clientId, onExpire) {
+    const session = this.sessions.get(clientId);
+
+    if (!session || this.gracePeriod <= 0) {
+      this.remove(clientId);
+      onExpire();
+      return;
+    }
+
+    if (session.expiryTimer) {
+      clearTimeout(session.expiryTimer);
+    }
+
+    session.expiryTimer = setTimeout(() => {
+      console.log(`SessionManager: Session for client ${clientId} expired`);
+      this.remove(clientId);
+      onExpire();
+    }, this.gracePeriod);
+
+    console.log(
+      `SessionManager: Holding session for client ${clientId} for ${this.gracePeriod}ms`,
+    );
+  }
+
+  /**
+   * Check whether a client is disconnected but still resumable
+   * @param {string} clientId - Client identifier
+   * @returns {boolean} True if the session is in its grace window
+   */
+  isSuspended(clientId) {
+    const session = this.sessions.get(clientId);
+    return Boolean(session && session.expiryTimer);
+  }
+
+  /**
+   * Drop a session and invalidate its token
+   * @param {string} clientId - Client identifier
+   */
+  remove(clientId) {
+    const session = this.sessions.get(clientId);
+    if (!session) return;
+
+    if (session.expiryTimer) {
+      clearTimeout(session.expiryTimer);
+    }
+    this.tokens.delete(session.token);
+    this.sessions.delete(clientId);
+  }
+}
+
+module.exports = SessionManager;
@@ -0,0 +1,346 @@
+// Stream Scheduler - Multiplexes asset and splat transfers per client
+// Sends one chunk at a time from the highest-priority stream, yielding between
+// chunks so incoming messages (and other clients) are never blocked by a large transfer.
+// Sending is flow-controlled by the socket's send buffer, and the rate at which that
+// buffer drains is reported as the client's real throughput
+
+class StreamScheduler {
+  /**
+   * @param {Object} options - Flow control settings
+   * @param {Function} options.getBufferedAmount - (clientId) => bytes queued on the client's socket
+   * @param {Function} options.onDrainSample - (clientId, bytes, durationMs) => void, called with measured throughput
+   * @param {Function} options.getSendDelay - (clientId) => ms to hold the client's next chunk
+   *   (e.g. an emulated link that is still busy)
+   * @param {Function} options.onChunkSent - (clientId, bytes) => void, called with each chunk's wire size
+   * @param {number} options.highWaterMark - Pause a client's streams above this many buffered bytes
+   * @param {number} options.lowWaterMark - Resume once the buffer falls to this many bytes
+   * @param {number} options.drainPollInterval - How often (ms) a paused client's buffer is checked
+   * @param {number} options.sampleInterval - Length (ms) of each throughput measurement window
+   */
+  constructor(options = {}) {
+    this.getBufferedAmount = options.getBufferedAmount || (() => 0);
+    this.onDrainSample = options.onDrainSample || (() => {});
+    this.getSendDelay = options.getSendDelay || (() => 0);
+    this.onChunkSent = options.onChunkSent || (() => {});
+    this.highWaterMark = options.highWaterMark || 1024 * 1024;
+    this.lowWaterMark =
+      options.lowWaterMark !== undefined ? options.lowWaterMark : 256 * 1024;
+    this.drainPollInterval = options.drainPollInterval || 10;
+    this.sampleInterval = options.sampleInterval || 1000;
+
+    // Windows shorter than this when a client goes idle are too noisy to report
+    this.minSampleDuration = this.sampleInterval / 10;
+
+    // clientId -> { streams: Map<streamId, stream>, pumping, paused, drain }
+    this.clients = new Map();
+
+    // Monotonic counter for round-robin among streams of equal priority
+    this.turn = 0;
+  }
+
+  /**
+   * Queue a stream for a client
+   * @param {string} clientId - Client identifier
+   * @param {Object} stream - Stream definition
+   * @param {number} stream.id - Stream id (unique per server)
+   * @param {Buffer} stream.buffer - Data to send
+   * @param {number} stream.chunkSize - Bytes per chunk
+   * @param {number} stream.offset - Byte to start from (when resuming), default 0
+   * @param {number} stream.priority - Higher is sent first
+   * @param {Function} stream.sendChunk - (chunk, { chunkIndex, offset }) => bytes put on the
+   *   socket, if different from chunk.length (e.g. the chunk was compressed)
+   * @param {Function} stream.onComplete - (stats) => void
+   * @param {Function} stream.onCancel - (stats, reason) => void
+   * @param {Object} stream.info - Caller data kept with the stream (e.g. assetId)
+   */
+  addStream(clientId, stream) {
+    if (!this.clients.has(clientId)) {
+      this.clients.set(clientId, {
+        streams: new Map(),
+        pumping: false,
+        paused: false,
+        drain: null,
+      });
+    }
+
+    this.clients.get(clientId).streams.set(stream.id, {
+      ...stream,
+      offset: stream.offset || 0,
+      bytesSent: 0,
+      wireBytes: 0,
+      chunksSent: 0,
+      startedAt: Date.now(),
+      lastTurn: -1,
+    });
+
+    this.schedule(clientId);
+  }
+
+  /**
+   * Change a stream's priority mid-flight
+   * @param {string} clientId - Client identifier
+   * @param {number} streamId - Stream id
+   * @param {number} priority - New priority (higher is sent first)
+   * @returns {boolean} True if the stream exists
+   */
+  reprioritize(clientId, streamId, priority) {
+    const stream = this.getStream(clientId, streamId);
+    if (!stream) return false;
+
+    stream.priority = priority;
+    return true;
+  }
+
+  /**
+   * Stop a stream before it completes
+   * @param {string} clientId - Client identifier
+   * @param {number} streamId - Stream id
+   * @param {string} reason - Why the stream was cancelled
+   * @returns {boolean} True if the stream existed
+   */
+  cancel(clientId, streamId, reason) {
+    const stream = this.getStream(clientId, streamId);
+    if (!stream) return false;
+
+    this.clients.get(clientId).streams.delete(streamId);
+    this.notify(stream, "onCancel", this.getStats(stream), reason);
+    return true;
+  }
+
+  /**
+   * Get a client's stream by id
+   * @param {string} clientId - Client identifier
+   * @param {number} streamId - Stream id
+   * @returns {Object|null} Stream or null
+   */
+  getStream(clientId, streamId) {
+    const client = this.clients.get(clientId);
+    return (client && client.streams.get(streamId)) || null;
+  }
+
+  /**
+   * Get every active stream for a client
+   * @param {string} clientId - Client identifier
+   * @returns {Array<Object>} Streams
+   */
+  getStreams(clientId) {
+    const client = this.clients.get(clientId);
+    return client ? Array.from(client.streams.values()) : [];
+  }
+
+  /**
+   * Get the bytes a client still has to receive
+   * @param {string} clientId - Client identifier
+   * @returns {number} Unsent bytes of its streams plus bytes waiting in the socket
+   */
+  getQueuedBytes(clientId) {
+    const unsent = this.getStreams(clientId).reduce(
+      (total, stream) => total + stream.buffer.length - stream.offset,
+      0,
+    );
+    return unsent + this.getBufferedAmount(clientId);
+  }
+
+  /**
+   * Cancel all of a client's streams (e.g. on disconnect)
+   * @param {string} clientId - Client identifier
+   * @param {string} reason - Why the streams were cancelled
+   */
+  removeClient(clientId, reason = "disconnected") {
+    const client = this.clients.get(clientId);
+    if (!client) return;
+
+    this.clients.delete(clientId);
+    client.streams.forEach((stream) =>
+      this.notify(stream, "onCancel", this.getStats(stream), reason),
+    );
+  }
+
+  /**
+   * Check whether a client's streams are waiting for its socket to drain
+   * @param {string} clientId - Client identifier
+   * @returns {boolean} True if paused
+   */
+  isPaused(clientId) {
+    const client = this.clients.get(clientId);
+    return Boolean(client && client.paused);
+  }
+
+  /**
+   * Start pumping a client's streams on the next tick if not already running
+   * @param {string} clientId - Client identifier
+   */
+  schedule(clientId) {
+    const client = this.clients.get(clientId);
+    if (!client || client.pumping) return;
+
+    client.pumping = true;
+    client.drain = this.startDrainWindow(clientId);
+    setImmediate(() => this.pump(clientId, client));
+  }
+
+  /**
+   * Send one chunk from the next stream, then yield
+   * While the socket holds more than the high watermark, poll until it drains
+   * below the low watermark instead of queueing more data in memory
+   * @param {string} clientId - Client identifier
+   * @param {Object} client - Client state the pump was started for
+   */
+  pump(clientId, client) {
+    // Stop if the client was removed (or removed and re-added) meanwhile
+    if (this.clients.get(clientId) !== client) return;
+
+    this.measureDrain(clientId, client, false);
+
+    const stream = this.pickNext(client);
+    if (!stream) {
+      this.measureDrain(clientId, client, true);
+      client.pumping = false;
+      client.paused = false;
+      return;
+    }
+
+    const buffered = this.getBufferedAmount(clientId);
+    if (
+      client.paused
+        ? buffered > this.lowWaterMark
+        : buffered >= this.highWaterMark
+    ) {
+      client.paused = true;
+      setTimeout(() => this.pump(clientId, client), this.drainPollInterval);
+      return;
+    }
+    client.paused = false;
+
+    const delay = this.getSendDelay(clientId);
+    if (delay > 0) {
+      setTimeout(() => this.pump(clientId, client), delay);
+      return;
+    }
+
+    try {
+      this.onChunkSent(clientId, this.sendNextChunk(client, stream));
+    } catch (error) {
+      console.error(`StreamScheduler: Stream ${stream.id} failed:`, error);
+      client.streams.delete(stream.id);
+      this.notify(stream, "onCancel", this.getStats(stream), "error");
+    }
+
+    if (
+      stream.offset >= stream.buffer.length &&
+      client.streams.has(stream.id)
+    ) {
+      client.streams.delete(stream.id);
+      this.notify(stream, "onComplete", this.getStats(stream));
+    }
+
+    setImmediate(() => this.pump(clientId, client));
+  }
+
+  /**
+   * Call a stream's onComplete or onCancel
+   * A callback that throws is logged so it can't stop the other streams (or,
+   * from a timer, take down the process)
+   * @param {Object} stream - Stream the callback belongs to
+   * @param {string} callback - 'onComplete' or 'onCancel'
+   * @param {...*} args - Callback arguments
+   */
+  notify(stream, callback, ...args) {
+    try {
+      stream[callback](...args);
+    } catch (error) {
+      console.error(
+        `StreamScheduler: ${callback} of stream ${stream.id} failed:`,
+        error,
+      );
+    }
+  }
+
+  startDrainWindow(clientId) {
+    return {
+      startedAt: Date.now(),
+      buffered: this.getBufferedAmount(clientId),
+      bytesSent: 0,
+    };
+  }
+
+  /**
+   * Report how many bytes left the socket during the current window
+   * Bytes drained = bytes sent minus growth of the send buffer, so the rate
+   * reflects what the network accepted rather than how fast chunks were queued
+   * @param {string} clientId - Client identifier
+   * @param {Object} client - Client state
+   * @param {boolean} final - Close the window early because the client went idle
+   */
+  measureDrain(clientId, client, final) {
+    const window = client.drain;
+    const duration = Date.now() - window.startedAt;
+    if (duration < (final ? this.minSampleDuration : this.sampleInterval)) {
+      return;
+    }
+
+    client.drain = this.startDrainWindow(clientId);
+
+    const drained =
+      window.bytesSent - (client.drain.buffered - window.buffered);
+    if (drained > 0) {
+      this.onDrainSample(clientId, drained, duration);
+    }
+  }
+
+  /**
+   * Pick the highest-priority stream, rotating among equal priorities
+   * @param {Object} client - Client state
+   * @returns {Object|null} Stream to serve next
+   */
+  pickNext(client) {
+    let next = null;
+    for (const stream of client.streams.values()) {
+      if (
+        !next ||
+        stream.priority > next.priority ||
+        (stream.priority === next.priority && stream.lastTurn < next.lastTurn)
+      ) {
+        next = stream;
+      }
+    }
+    return next;
+  }
+
+  /**
+   * Send the next chunk of a stream
+   * @param {Object} client - Client state
+   * @param {Object} stream - Stream to advance
+   * @returns {number} Bytes put on the socket
+   */
+  sendNextChunk(client, stream) {
+    const offset = stream.offset;
+    const chunk = stream.buffer.subarray(offset, offset + stream.chunkSize);
+
+    const wireBytes = stream.sendChunk(chunk, {
+      chunkIndex: Math.floor(offset / stream.chunkSize),
+      offset: offset,
+    });
+    const sent = typeof wireBytes === "number" ? wireBytes : chunk.length;
+
+    stream.offset += chunk.length;
+    stream.bytesSent += chunk.length;
+    stream.wireBytes += sent;
+    stream.chunksSent++;
+    client.drain.bytesSent += sent;
+    stream.lastTurn = this.turn++;
+    return sent;
+  }
+
+  getStats(stream) {
+    return {
+      bytesSent: stream.bytesSent,
+      wireBytes: stream.wireBytes,
+      chunksSent: stream.chunksSent,
+      totalBytes: stream.buffer.length,
+      duration: Date.now() - stream.startedAt,
+    };
+  }
+}
+
+module.exports = StreamScheduler;
@@ -0,0 +1,34 @@
+// Throughput Rule - ABR strategy that follows the measured bandwidth
+// Picks the largest LOD whose download at the estimated bandwidth fits the
+// time-to-first-render target. It ignores what is already queued for the client,
+// which keeps it simple and predictable but lets a busy connection overcommit.
+
+class ThroughputRule {
+  /**
+   * @param {Object} options - Rule settings
+   * @param {number} options.safetyFactor - Fraction of the estimated bandwidth to plan with
+   */
+  constructor(options = {}) {
+    this.name = "throughput";
+    this.safetyFactor = options.safetyFactor || 1;
+  }
+
+  /**
+   * Choose a LOD
+   * @param {Object} state - Decision inputs (see AdaptiveStreamingManager.chooseLOD)
+   * @returns {string} LOD level (the lowest rung if none is affordable)
+   */
+  chooseLOD(state) {
+    const usableBandwidth = state.bandwidth * this.safetyFactor;
+
+    let selected = state.ladder[0];
+    for (const rung of state.ladder) {
+      if (usableBandwidth >= rung.bandwidth) {
+        selected = rung;
+      }
+    }
+    return selected.lod;
+  }
+}
+
+module.exports = ThroughputRule;
@@ -13,8 +13,23 @@ let wsReconnection = {
   maxDelay: 30000, // Cap at 30 seconds
   isReconnecting: false,
   connectionTimeout: null,
+  // Token from the last welcome, used to reclaim our session on reconnect
+  resumeToken: sessionStorage.getItem("streamxr-resume-token"),
 };
 
+// Splat chunk encodings (from nerf_metadata) -> DecompressionStream format
+const SPLAT_DECOMPRESSION_FORMATS = { br: "brotli", gzip: "gzip" };
+
+// Protocol version and decoding features announced to the server in hello
+const PROTOCOL_VERSION = 2;
+const CLIENT_CAPABILITIES = {
+  binaryFraming: true, // Chunks arrive as self-describing frames
+  draco: true, // GLTFLoader has a DRACOLoader attached
+  splatFormats: ["splat"], // GaussianSplatRenderer parses .splat only
+  splatEncodings: getSupportedSplatEncodings(), // Per-chunk splat compression
+};
+let negotiatedProtocol = null; // { protocolVersion, capabilities } from hello_ack
+
 // Detect iOS Safari for platform-specific handling
 const isIOSSafari =
   /iPhone|iPad|iPod/.test(navigator.userAgent) &&
@@ -27,11 +42,81 @@ let userPositions = new Map(); // Store positions of other users
 
 // Shared objects state
 let sharedObjects = new Map(); // objectId -> THREE.Mesh
-let roomId = "default"; // Default room
+// Room from the page's ?room= query, otherwise the default room
+let roomId =
+  new URLSearchParams(window.location.search).get("room") || "default";
+// Access token from the page's ?token= query, remembered for this tab
+const authToken =
+  new URLSearchParams(window.location.search).get("token") ||
+  sessionStorage.getItem("streamxr-auth-token");
+if (authToken) {
+  sessionStorage.setItem("streamxr-auth-token", authToken);
+}
+
+// How GLBs are downloaded: "websocket" chunks, or "http" from the URL the
+// server advertises (cacheable by the browser, nginx or a CDN); set with ?transport=
+const assetTransport =
+  new URLSearchParams(window.location.search).get("transport") === "http"
+    ? "http"
+    : "websocket";
+
+// WebRTC data channel to the server for asset and splat chunks; until it
+// connects (or if ICE fails) chunks arrive on the WebSocket. ?datachannel=off disables it
+const dataChannelEnabled =
+  new URLSearchParams(window.location.search).get("datachannel") !== "off";
+let serverPeer = null; // SimplePeer connected to the server
+
+// Frames that arrived before their stream's metadata (the data channel can
+// overtake the WebSocket), replayed once the metadata arrives
+let earlyFrames = new Map(); // streamId -> frames
+const EARLY_FRAME_TTL = 5000; // ms before unclaimed frames are dropped
+
+// How long a *_complete waits for chunks still in flight on the data channel
+// before the missing bytes are re-requested over the WebSocket
+const DATA_CHANNEL_GRACE_MS = 2000;
+
+// ABR strategy for this client's LOD decisions (?abr=bola or ?abr=throughput);
+// without it the room's or the server's default applies
+const abrStrategy = new URLSearchParams(window.location.search).get("abr");
+
+// Network profile the server emulates on this connection, e.g. ?network=3g,
+// congested-wifi or quest-tether (GET /api/network-profiles lists them)
+const networkProfile = new URLSearchParams(window.location.search).get(
+  "network",
+);
 
 // Asset streaming state
-let assetStreams = new Map(); // Track incoming asset streams
-let expectingBinaryChunk = false; // Global flag for next binary message
+let assetStreams = new Map(); // Track incoming asset streams (streamId -> stream data)
+// Partial downloads cut off by a disconnect, resumed after reconnecting
+// ("asset:<assetId>:<lod>" or "nerf:<assetId>" -> stream data)
+let interruptedDownloads = new Map();
+
+// Persistent GLB cache in IndexedDB, keyed by content hash
+// Records: { sha256, assetId, lod, buffer, storedAt }
+const ASSET_CACHE_DB = "streamxr-asset-cache";
+const ASSET_CACHE_STORE = "assets";
+// LODs kept per asset; request_asset accepts at most this many cached hashes
+const MAX_CACHED_LODS_PER_ASSET = 16;
+let assetCacheDb = null; // Promise<IDBDatabase|null>, opened on first use
+
+// Asset requests wait on a cache lookup; cancels queue behind them so both
+// reach the server in the order they were issued
+let assetMessageQueue = Promise.resolve();
+
+// GLB swaps cross-fade: the replaced model fades out over its replacement
+const MODEL_FADE_DURATION = 400; // ms
+let modelFades = []; // { model, materials: [{ material, opacity }], startedAt }
+let modelLoadCount = 0; // Loads started, so a slow parse can't replace a newer LOD
+let shownModelLoad = 0; // Load number of the model currently in the scene
+
+// Binary chunk frames: 20-byte little-endian header, then the payload
+// [0] magic 'SX' | [2] version | [3] kind | [4] stream id | [8] chunk index
+// [12] byte offset within the stream | [16] payload length
+const FRAME_MAGIC = 0x5853;
+const FRAME_VERSION = 1;
+const FRAME_HEADER_SIZE = 20;
+const FRAME_KIND_ASSET = 1;
+const FRAME_KIND_SPLAT = 2;
 
 // Bandwidth monitoring
 let bandwidthMonitor = {
@@ -50,7 +135,7 @@ let bandwidthSimulation = {
 };
 
 // NeRF streaming state
-let nerfStreams = new Map(); // Track incoming NeRF data streams (assetId -> stream data)
+let nerfStreams = new Map(); // Track incoming NeRF data streams (streamId -> stream data)
 
 // Head tracking state
 let headTracking = {
@@ -80,10 +165,28 @@ let networkStats = {
   totalDataTransferred: 0, // Total bytes transferred
 };
 
+// Quality-of-experience telemetry for this page load, sent to the server in
+// qoe-report messages (GET /api/sessions/<client id> shows the session's totals)
+let qoe = {
+  reportInterval: 10000, // Report every 10 seconds
+  stallThreshold: 1000, // A download getting no data for longer than this (ms) is stalled
+  timeToFirstRender: null, // ms from page load until the first model was shown
+  lodSwitches: 0, // Times the model on screen changed LOD
+  stallTime: 0, // ms downloads spent stalled
+  lastDataAt: 0, // When data last arrived (or downloads were idle)
+  lastFrameAt: 0,
+  shown: null, // { assetId, lod, since } of the model on screen
+  lodTime: new Map(), // "assetId:lod" -> { assetId, lod, ms } on screen
+  fpsSum: 0, // Sum of the once-a-second FPS samples
+  fpsSamples: 0,
+  minFps: null,
+};
+
 // Render mode state
 let renderMode = "glb"; // 'glb' or 'nerf'
 let gaussianRenderer = null; // GaussianSplatRenderer instance
 let nerfAvailable = false; // Whether NeRF data is available from server
+let pendingRenderMode = null; // Resumed session's mode, applied once NeRF has loaded
 
 // Shared transform for both GLB and NeRF (keeps them in sync)
 let sharedTransform = {
@@ -145,6 +248,7 @@ function initThreeJS() {
 function animate() {
   // Update FPS counter for network stats
   updateFpsCounter();
+  updateStallTime();
 
   // Model rotation disabled - model is now static
   // if (cube && !grabbedObject) {
@@ -152,6 +256,9 @@ function animate() {
   //   cube.rotation.y += 0.01;
   // }
 
+  // Fade out models replaced by a newer LOD
+  updateModelFades();
+
   // Send head tracking data periodically
   sendHeadTrackingData();
 
@@ -175,10 +282,18 @@ function onWindowResize() {
 
 function initWebSocket() {
   const protocol = window.location.protocol === "https:" ? "wss:" : "ws:";
-  const wsUrl = `${protocol}//${window.location.host}`;
+  // Rejoin the current room and resume our session when reconnecting
+  const params = new URLSearchParams({ room: roomId });
+  if (wsReconnection.resumeToken) {
+    params.set("resume", wsReconnection.resumeToken);
+  }
+  if (authToken) {
+    params.set("token", authToken);
+  }
+  const wsUrl = `${protocol}//${window.location.host}/?${params}`;
 
   console.log(
-    `[WebSocket] Attempting connection to ${wsUrl} (attempt ${wsReconnection.attempts + 1}/${wsReconnection.maxAttempts})`,
+    `[WebSocket] Attempting connection to ${protocol}//${window.location.host} (attempt ${wsReconnection.attempts + 1}/${wsReconnection.maxAttempts})`,
   );
   if (isIOSSafari) {
     console.log("[WebSocket] iOS Safari detected - using extended timeout");
@@ -224,11 +339,7 @@ function initWebSocket() {
   ws.onmessage = (event) => {
     // Check if this is binary data
     if (event.data instanceof ArrayBuffer) {
-      console.log("Received binary data, size:", event.data.byteLength);
-      // Try NeRF chunk handler first, then fall back to asset chunk handler
-      if (!handleNeRFChunkData(event.data)) {
-        handleAssetChunkData(event.data);
-      }
+      handleBinaryFrame(event.data);
     } else {
       // Handle JSON messages
       try {
@@ -250,6 +361,10 @@ function initWebSocket() {
     peers.forEach((peer) => peer.destroy());
     peers.clear();
     updatePeerCount();
+    closeServerDataChannel();
+
+    // Keep partial downloads so they can continue after reconnecting
+    saveInterruptedDownloads();
 
     // Attempt reconnection
     scheduleReconnect();
@@ -303,13 +418,46 @@ function handleSignalingMessage(data) {
 
   switch (data.type) {
     case "welcome":
+      // Announce our protocol version and capabilities before any requests
+      // (the server ignores messages while a connection waits for admission)
+      ws.send(
+        JSON.stringify({
+          type: "hello",
+          protocolVersion: PROTOCOL_VERSION,
+          capabilities: CLIENT_CAPABILITIES,
+        }),
+      );
+
+      // Clears a "Queued" status if we waited for admission
+      updateStatus("ws-status", "Connected", "connected");
+
       clientId = data.id;
       clientColor = data.color;
+      roomId = data.room || roomId;
+
+      if (data.resumeToken) {
+        wsReconnection.resumeToken = data.resumeToken;
+        sessionStorage.setItem("streamxr-resume-token", data.resumeToken);
+      }
+      if (data.resumed) {
+        console.log("[WebSocket] Resumed previous session");
+      }
+      if (data.renderMode) {
+        restoreRenderMode(data.renderMode);
+      }
       document.getElementById("client-id").textContent = clientId.substring(
         0,
         8,
       );
-      console.log("Client ID:", clientId, "Color:", clientColor);
+      updateQoeReportLink();
+      console.log(
+        "Client ID:",
+        clientId,
+        "Color:",
+        clientColor,
+        "Room:",
+        roomId,
+      );
 
       data.peers.forEach((peerId) => {
         createPeerConnection(peerId, true);
@@ -329,18 +477,35 @@ function handleSignalingMessage(data) {
       // Request asset list to check for NeRF availability
       requestAssetList();
 
-      // Request an asset after connection (adaptive streaming will select LOD)
-      setTimeout(() => requestAsset("helmet"), 1000);
+      // Continue downloads cut off by a disconnect, otherwise request an asset
+      // after connection (low first, refined up to the adaptive LOD)
+      if (!resumeInterruptedDownloads()) {
+        setTimeout(() => requestAsset("helmet", null, true), 1000);
+      }
 
       // Request existing objects in the room
       requestRoomObjects();
       break;
 
+    case "room-joined":
+      handleRoomJoined(data);
+      break;
+
     case "peer-connected":
       console.log("Peer connected:", data.peerId);
       createAvatar(data.peerId, data.color);
       break;
 
+    case "peer-resumed":
+      // Peer reconnected with the same ID; its WebRTC link must be rebuilt
+      console.log("Peer resumed:", data.peerId);
+      if (peers.has(data.peerId)) {
+        peers.get(data.peerId).destroy();
+        peers.delete(data.peerId);
+        updatePeerCount();
+      }
+      break;
+
     case "peer-disconnected":
       console.log("Peer disconnected:", data.peerId);
       if (peers.has(data.peerId)) {
@@ -370,14 +535,14 @@ function handleSignalingMessage(data) {
       handleAssetStart(data);
       break;
 
-    case "asset_chunk":
-      handleAssetChunkMetadata(data);
-      break;
-
     case "asset_complete":
       handleAssetComplete(data);
       break;
 
+    case "asset_not_modified":
+      handleAssetNotModified(data);
+      break;
+
     case "asset_error":
       console.error("Asset error:", data.error);
       updateStatus("binary-status", "Error: " + data.error, "disconnected");
@@ -401,6 +566,10 @@ function handleSignalingMessage(data) {
       handleRoomObjects(data.objects);
       break;
 
+    case "room-restored":
+      handleRoomRestored(data.objects);
+      break;
+
     case "object-created":
       handleObjectCreated(data.object);
       break;
@@ -417,10 +586,6 @@ function handleSignalingMessage(data) {
       handleNeRFMetadata(data);
       break;
 
-    case "nerf_chunk":
-      handleNeRFChunk(data);
-      break;
-
     case "nerf_complete":
       handleNeRFComplete(data);
       break;
@@ -429,10 +594,102 @@ function handleSignalingMessage(data) {
       handleNeRFError(data);
       break;
 
+    case "stream_cancelled":
+      handleStreamCancelled(data);
+      break;
+
     case "pong":
       handlePong(data);
       break;
 
+    case "error":
+      console.error("Server error:", data.message);
+      break;
+
+    case "hello_ack":
+      negotiatedProtocol = {
+        protocolVersion: data.protocolVersion,
+        capabilities: data.capabilities,
+      };
+      console.log(
+        `[WebSocket] Negotiated protocol v${data.protocolVersion} (server v${data.serverProtocolVersion})`,
+        data.capabilities,
+      );
+
+      // Chunks on the data channel are self-describing binary frames
+      if (data.capabilities.binaryFraming) {
+        openServerDataChannel();
+      }
+
+      if (abrStrategy) {
+        ws.send(
+          JSON.stringify({ type: "set_abr_strategy", strategy: abrStrategy }),
+        );
+      }
+
+      if (networkProfile) {
+        ws.send(
+          JSON.stringify({
+            type: "set_network_profile",
+            profile: networkProfile,
+          }),
+        );
+      }
+      break;
+
+    case "network_profile":
+      console.log(
+        data.profile
+          ? `[Network] Server emulates ${data.profile}:`
+          : "[Network] Server emulation off",
+        data.settings || "",
+      );
+      break;
+
+    case "abr_strategy":
+      console.log(
+        `[ABR] LOD decisions use the ${data.strategy} strategy (available: ${data.strategies.join(", ")})`,
+      );
+      break;
+
+    case "transport_signal":
+      handleTransportSignal(data.signal);
+      break;
+
+    case "data_channel_state":
+      handleDataChannelState(data);
+      break;
+
+    case "queued":
+      console.log(
+        `[WebSocket] Waiting for admission (${data.reason}): position ${data.position} of ${data.queueLength}`,
+      );
+      updateStatus(
+        "ws-status",
+        `Queued (${data.position}/${data.queueLength})`,
+        "pending",
+      );
+      break;
+
+    case "connection_rejected":
+      console.warn("[WebSocket] Connection rejected:", data.reason);
+      updateStatus("ws-status", "Server full", "disconnected");
+      break;
+
+    case "rate_limited":
+      console.warn(
+        `[WebSocket] Server is throttling ${data.messageType}, retry in ${data.retryAfter}ms`,
+      );
+      break;
+
+    case "protocol_error":
+      console.error(
+        `Protocol error (${data.code}) in ${data.messageType}` +
+          (data.field ? ` field ${data.field}` : "") +
+          `: ${data.message}`,
+      );
+      break;
+
     default:
       console.warn("Unknown message type:", data.type);
   }
@@ -631,7 +888,13 @@ function requestAssetList() {
   }
 }
 
-function requestAsset(assetId, lod = null) {
+/**
+ * Request an asset from the server
+ * @param {string} assetId - Asset identifier
+ * @param {string} lod - LOD to fetch (null lets the server pick one)
+ * @param {boolean} progressive - Show low first, then refine up to that LOD
+ */
+function requestAsset(assetId, lod = null, progressive = false) {
   if (!assetId) {
     console.error("requestAsset called with undefined assetId");
     return;
@@ -644,30 +907,254 @@ function requestAsset(assetId, lod = null) {
   }
 
   console.log("Requesting asset:", assetId, lod ? `LOD: ${lod}` : "(adaptive)");
-  ws.send(
-    JSON.stringify({
+  updateStatus("binary-status", "Requesting...", "pending");
+
+  // Tell the server which LODs we already hold so it can skip the transfer
+  queueAssetMessage(() =>
+    getCachedHashes(assetId).then((cachedHashes) => ({
       type: "request_asset",
       assetId: assetId,
       lod: lod, // null means use adaptive streaming
+      cachedHashes: cachedHashes,
+      progressive: progressive,
+      transport: assetTransport,
+    })),
+  );
+}
+
+/**
+ * Stop in-flight transfers of an asset, e.g. a LOD that is no longer wanted
+ * The server answers with stream_cancelled (bytes delivered) for each stopped stream
+ * @param {string} assetId - Asset identifier
+ * @param {string} lod - Only cancel this LOD (all LODs if omitted)
+ */
+function cancelAsset(assetId, lod = null) {
+  queueAssetMessage(() => {
+    const message = { type: "cancel_asset", assetId: assetId };
+    if (lod) {
+      message.lod = lod;
+    }
+    return message;
+  });
+}
+
+/**
+ * Send an asset request or cancel after those issued before it
+ * @param {Function} buildMessage - () => message or Promise<message>
+ */
+function queueAssetMessage(buildMessage) {
+  assetMessageQueue = assetMessageQueue
+    .then(buildMessage)
+    .then((message) => {
+      if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(message));
+      }
+    })
+    .catch((error) => console.error("Failed to send asset message:", error));
+}
+
+/**
+ * Load an asset the server says we already have cached
+ * Falls back to downloading it if the cache entry has gone missing
+ * @param {Object} data - { assetId, lod, sha256, refining }
+ */
+function handleAssetNotModified(data) {
+  // Already on screen, e.g. the low step of a progressive refresh
+  const currentAsset = getCurrentAssetLOD();
+  if (
+    currentAsset &&
+    currentAsset.base === data.assetId &&
+    currentAsset.lod === data.lod
+  ) {
+    console.log(`${data.assetId} (${data.lod}) is already loaded`);
+    return;
+  }
+
+  getCachedAsset(data.sha256).then((record) => {
+    if (!record) {
+      console.warn(
+        `Cached ${data.assetId} (${data.lod}) is missing, downloading it`,
+      );
+      queueAssetMessage(() => ({
+        type: "request_asset",
+        assetId: data.assetId,
+        lod: data.lod,
+        transport: assetTransport,
+      }));
+      return;
+    }
+
+    console.log(`Loading ${data.assetId} (${data.lod}) from cache`);
+    const blob = new Blob([record.buffer], { type: "model/gltf-binary" });
+    loadGLBModel(
+      URL.createObjectURL(blob),
+      data.assetId,
+      data.lod,
+      data.refining,
+    );
+  });
+}
+
+/**
+ * Open the IndexedDB asset cache
+ * @returns {Promise<IDBDatabase|null>} Database, or null if IndexedDB is unavailable
+ */
+function openAssetCache() {
+  if (!assetCacheDb) {
+    assetCacheDb = new Promise((resolve) => {
+      if (!window.indexedDB) {
+        resolve(null);
+        return;
+      }
+
+      const request = window.indexedDB.open(ASSET_CACHE_DB, 1);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(ASSET_CACHE_STORE, {
+          keyPath: "sha256",
+        });
+        store.createIndex("assetId", "assetId");
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn("[AssetCache] Could not open cache:", request.error);
+        resolve(null);
+      };
+    });
+  }
+  return assetCacheDb;
+}
+
+/**
+ * Run one request against the asset cache store
+ * Cache failures are logged and resolve to null; the cache is only an optimization
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - (store) => IDBRequest
+ * @returns {Promise<*>} Request result, or null on failure
+ */
+function assetCacheRequest(mode, operation) {
+  return openAssetCache().then(
+    (db) =>
+      new Promise((resolve) => {
+        if (!db) {
+          resolve(null);
+          return;
+        }
+
+        const request = operation(
+          db
+            .transaction(ASSET_CACHE_STORE, mode)
+            .objectStore(ASSET_CACHE_STORE),
+        );
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.warn("[AssetCache] Request failed:", request.error);
+          resolve(null);
+        };
+      }),
+  );
+}
+
+/**
+ * Get the content hashes of every cached LOD of an asset
+ * Beyond MAX_CACHED_LODS_PER_ASSET, the least recently stored LODs are evicted
+ * @param {string} assetId - Asset identifier
+ * @returns {Promise<Array<string>>} Hashes (empty if none or no cache)
+ */
+function getCachedHashes(assetId) {
+  return assetCacheRequest("readonly", (store) =>
+    store.index("assetId").getAllKeys(assetId),
+  ).then((hashes) => {
+    if (!hashes) return [];
+    if (hashes.length <= MAX_CACHED_LODS_PER_ASSET) return hashes;
+    return evictCachedAssets(assetId);
+  });
+}
+
+/**
+ * Keep only the most recently stored LODs of an asset
+ * @param {string} assetId - Asset identifier
+ * @returns {Promise<Array<string>>} Hashes of the LODs kept
+ */
+function evictCachedAssets(assetId) {
+  return assetCacheRequest("readonly", (store) =>
+    store.index("assetId").getAll(assetId),
+  ).then((records) => {
+    const newestFirst = (records || []).sort((a, b) => b.storedAt - a.storedAt);
+    newestFirst
+      .slice(MAX_CACHED_LODS_PER_ASSET)
+      .forEach((record) =>
+        assetCacheRequest("readwrite", (store) => store.delete(record.sha256)),
+      );
+    return newestFirst
+      .slice(0, MAX_CACHED_LODS_PER_ASSET)
+      .map((record) => record.sha256);
+  });
+}
+
+function getCachedAsset(sha256) {
+  return assetCacheRequest("readonly", (store) => store.get(sha256));
+}
+
+function putCachedAsset(sha256, assetId, lod, buffer) {
+  return assetCacheRequest("readwrite", (store) =>
+    store.put({
+      sha256: sha256,
+      assetId: assetId,
+      lod: lod,
+      buffer: buffer,
+      storedAt: Date.now(),
     }),
   );
-  updateStatus("binary-status", "Requesting...", "pending");
+}
+
+/**
+ * Drop cached LODs the server no longer publishes (e.g. after a re-upload)
+ * @param {Array<Object>} assets - asset_list entries with per-LOD hashes
+ */
+function pruneAssetCache(assets) {
+  assets
+    .filter((asset) => asset.hashes)
+    .forEach((asset) => {
+      const current = Object.values(asset.hashes);
+      getCachedHashes(asset.id).then((hashes) =>
+        hashes
+          .filter((hash) => !current.includes(hash))
+          .forEach((hash) =>
+            assetCacheRequest("readwrite", (store) => store.delete(hash)),
+          ),
+      );
+    });
 }
 
 function handleAssetStart(data) {
+  if (data.transport === "http") {
+    fetchAssetOverHttp(data);
+    return;
+  }
+
   console.log(
     `Starting asset download: ${data.assetId}, LOD: ${data.lod}, size: ${data.size} bytes, chunks: ${data.chunks}`,
   );
 
-  assetStreams.set(data.assetId, {
+  // A resumed stream keeps filling the buffer of the interrupted download
+  const partial = takeInterruptedDownload(
+    `asset:${data.assetId}:${data.lod}`,
+    data,
+  );
+
+  assetStreams.set(data.streamId, {
     assetId: data.assetId,
     lod: data.lod,
     totalSize: data.size,
     totalChunks: data.chunks,
-    receivedChunks: 0,
-    chunks: [],
-    currentOffset: 0,
+    receivedChunks: partial ? partial.receivedChunks : 0,
+    receivedBytes: partial ? partial.receivedBytes : 0,
+    pendingRanges: partial ? partial.pendingRanges : new Map(),
+    sha256: data.sha256,
+    resumed: Boolean(partial),
+    buffer: partial ? partial.buffer : new Uint8Array(data.size),
   });
+  replayEarlyFrames(data.streamId);
 
   // Start bandwidth monitoring
   bandwidthMonitor.downloadStart = Date.now();
@@ -676,52 +1163,193 @@ function handleAssetStart(data) {
   updateStatus("binary-status", `Downloading (0/${data.chunks})`, "pending");
 }
 
-function handleAssetChunkMetadata(data) {
-  const stream = assetStreams.get(data.assetId);
-  if (!stream) {
-    console.error("Received chunk metadata for unknown asset:", data.assetId);
+/**
+ * Decode a binary chunk frame and route it to its asset or splat stream
+ * @param {ArrayBuffer} arrayBuffer - Frame received on the WebSocket
+ */
+function handleBinaryFrame(arrayBuffer) {
+  const view = new DataView(arrayBuffer);
+  if (
+    arrayBuffer.byteLength < FRAME_HEADER_SIZE ||
+    view.getUint16(0, true) !== FRAME_MAGIC ||
+    view.getUint8(2) !== FRAME_VERSION
+  ) {
+    console.error("Received malformed binary frame");
     return;
   }
 
-  // Store that we're expecting a binary chunk next
-  stream.expectingChunk = true;
-  stream.currentChunkIndex = data.chunkIndex;
-  expectingBinaryChunk = true;
+  const frame = {
+    kind: view.getUint8(3),
+    streamId: view.getUint32(4, true),
+    chunkIndex: view.getUint32(8, true),
+    offset: view.getUint32(12, true),
+    payload: new Uint8Array(
+      arrayBuffer,
+      FRAME_HEADER_SIZE,
+      view.getUint32(16, true),
+    ),
+  };
 
-  console.log(
-    `Expecting binary chunk ${data.chunkIndex}/${data.totalChunks} for ${data.assetId}`,
-  );
+  if (!assetStreams.has(frame.streamId) && !nerfStreams.has(frame.streamId)) {
+    holdEarlyFrame(frame);
+    return;
+  }
+
+  routeFrame(frame);
 }
 
-function handleAssetChunkData(arrayBuffer) {
-  if (!expectingBinaryChunk) {
-    console.error("Received unexpected binary data");
+/**
+ * Pass a decoded frame to its asset or splat stream
+ * @param {Object} frame - Decoded frame
+ */
+function routeFrame(frame) {
+  if (frame.kind === FRAME_KIND_SPLAT) {
+    handleNeRFChunkData(frame);
+  } else if (frame.kind === FRAME_KIND_ASSET) {
+    handleAssetChunkData(frame);
+  } else {
+    console.error("Received binary frame of unknown kind:", frame.kind);
+  }
+}
+
+/**
+ * Hold a frame whose stream's metadata has not arrived yet
+ * The data channel can overtake the WebSocket; frames nobody claims within
+ * EARLY_FRAME_TTL (e.g. for a cancelled stream) are dropped
+ * @param {Object} frame - Decoded frame
+ */
+function holdEarlyFrame(frame) {
+  let frames = earlyFrames.get(frame.streamId);
+  if (!frames) {
+    frames = [];
+    earlyFrames.set(frame.streamId, frames);
+
+    setTimeout(() => {
+      if (earlyFrames.get(frame.streamId) === frames) {
+        earlyFrames.delete(frame.streamId);
+        console.warn(
+          `Dropped ${frames.length} chunks for unknown stream ${frame.streamId}`,
+        );
+      }
+    }, EARLY_FRAME_TTL);
+  }
+
+  frames.push(frame);
+}
+
+/**
+ * Deliver frames that arrived before their stream was set up
+ * @param {number} streamId - Stream that just started
+ */
+function replayEarlyFrames(streamId) {
+  const frames = earlyFrames.get(streamId);
+  if (!frames) return;
+
+  earlyFrames.delete(streamId);
+  frames.forEach(routeFrame);
+}
+
+/**
+ * Ask the server for a WebRTC data channel to carry chunks
+ * The server makes the offer; signals are exchanged as transport_signal messages
+ */
+function openServerDataChannel() {
+  if (!dataChannelEnabled || typeof SimplePeer === "undefined") {
     return;
   }
 
-  // Find the stream that is expecting a chunk
-  let targetStream = null;
-  let targetAssetId = null;
+  closeServerDataChannel();
+  console.log("[DataChannel] Requesting a data channel from the server");
+  ws.send(JSON.stringify({ type: "open_data_channel" }));
+}
 
-  for (const [assetId, stream] of assetStreams) {
-    if (stream.expectingChunk) {
-      targetStream = stream;
-      targetAssetId = assetId;
-      break;
+/**
+ * Apply a signal from the server, answering its offer on the first one
+ * @param {Object} signal - simple-peer signal data
+ */
+function handleTransportSignal(signal) {
+  if (!serverPeer) {
+    serverPeer = createServerPeer();
+  }
+
+  serverPeer.signal(signal);
+}
+
+/**
+ * Create the peer that answers the server's data channel offer
+ * @returns {SimplePeer} Peer connected to the server
+ */
+function createServerPeer() {
+  const peer = new SimplePeer({ initiator: false, trickle: true });
+
+  peer.on("signal", (signal) => {
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ type: "transport_signal", signal: signal }));
+    }
+  });
+
+  peer.on("connect", () => {
+    console.log(
+      "[DataChannel] Connected, chunks now arrive on the data channel",
+    );
+  });
+
+  // Frames are the same as on the WebSocket
+  peer.on("data", (data) => {
+    handleBinaryFrame(
+      data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength),
+    );
+  });
+
+  peer.on("close", () => {
+    if (serverPeer === peer) {
+      serverPeer = null;
+      console.log("[DataChannel] Closed, chunks fall back to the WebSocket");
     }
+  });
+
+  peer.on("error", (error) => {
+    console.error("[DataChannel] Error:", error);
+  });
+
+  return peer;
+}
+
+/**
+ * Handle the server's report on the data channel
+ * @param {Object} data - data_channel_state with state ('open' or 'failed') and reason
+ */
+function handleDataChannelState(data) {
+  if (data.state === "failed") {
+    console.log(
+      `[DataChannel] Unavailable (${data.reason}), using the WebSocket`,
+    );
+    closeServerDataChannel();
+  } else {
+    console.log(`[DataChannel] Server reports channel ${data.state}`);
   }
+}
+
+function closeServerDataChannel() {
+  if (serverPeer) {
+    serverPeer.destroy();
+    serverPeer = null;
+  }
+}
 
+function handleAssetChunkData(frame) {
+  const targetStream = assetStreams.get(frame.streamId);
   if (!targetStream) {
-    console.error("Received binary chunk but no stream is expecting it");
-    expectingBinaryChunk = false;
+    console.error("Received chunk for unknown asset stream:", frame.streamId);
     return;
   }
 
-  const chunkData = new Uint8Array(arrayBuffer);
+  const chunkData = frame.payload;
 
-  // Store the chunk
-  targetStream.chunks.push(chunkData);
+  // Chunks carry their offset, so they can be placed in any order
+  targetStream.buffer.set(chunkData, frame.offset);
   targetStream.receivedChunks++;
+  recordReceivedRange(targetStream, frame.offset, chunkData.length);
 
   // Update bandwidth monitoring
   bandwidthMonitor.bytesReceived += chunkData.length;
@@ -731,13 +1359,9 @@ function handleAssetChunkData(arrayBuffer) {
   trackDataReceived(chunkData.length);
 
   console.log(
-    `Received chunk ${targetStream.receivedChunks}/${targetStream.totalChunks} for ${targetAssetId} (${chunkData.length} bytes)`,
+    `Received chunk ${frame.chunkIndex + 1}/${targetStream.totalChunks} for ${targetStream.assetId} (${chunkData.length} bytes)`,
   );
 
-  // Reset flags
-  targetStream.expectingChunk = false;
-  expectingBinaryChunk = false;
-
   // Update status
   updateStatus(
     "binary-status",
@@ -747,7 +1371,7 @@ function handleAssetChunkData(arrayBuffer) {
 }
 
 function handleAssetComplete(data) {
-  const stream = assetStreams.get(data.assetId);
+  const stream = assetStreams.get(data.streamId);
   if (!stream) {
     console.error("Received completion for unknown asset:", data.assetId);
     return;
@@ -757,43 +1381,295 @@ function handleAssetComplete(data) {
     `Asset download complete: ${data.assetId}, received ${stream.receivedChunks} chunks`,
   );
 
-  // Combine all chunks into single buffer
-  let totalLength = 0;
-  stream.chunks.forEach((chunk) => (totalLength += chunk.length));
+  // Chunks on the data channel can still be in flight
+  waitForStreamData(stream).then((filled) => {
+    assetStreams.delete(data.streamId);
+
+    if (filled) {
+      // A higher LOD follows if the server is refining
+      loadDownloadedAsset(stream, data.refining);
+    } else if (data.refining) {
+      // Not worth repairing: the next LOD is already on its way
+      console.warn(
+        `Dropping incomplete ${stream.assetId} (${stream.lod}), a higher LOD follows`,
+      );
+    } else {
+      repairDownload(`asset:${stream.assetId}:${stream.lod}`, stream, {
+        type: "request_asset",
+        assetId: stream.assetId,
+        lod: stream.lod,
+      });
+    }
+  });
+}
+
+/**
+ * Advance a stream's contiguous byte count with a chunk that just arrived
+ * Chunks from the data channel arrive in any order; those past a gap wait in
+ * pendingRanges until the gap is filled
+ * @param {Object} stream - Asset or NeRF stream state
+ * @param {number} offset - Chunk offset
+ * @param {number} length - Chunk length (uncompressed)
+ */
+function recordReceivedRange(stream, offset, length) {
+  if (offset > stream.receivedBytes) {
+    stream.pendingRanges.set(offset, length);
+    return;
+  }
+
+  stream.receivedBytes = Math.max(stream.receivedBytes, offset + length);
+  while (stream.pendingRanges.has(stream.receivedBytes)) {
+    const pendingOffset = stream.receivedBytes;
+    stream.receivedBytes += stream.pendingRanges.get(pendingOffset);
+    stream.pendingRanges.delete(pendingOffset);
+  }
+
+  if (stream.receivedBytes >= stream.totalSize && stream.onFilled) {
+    stream.onFilled();
+  }
+}
+
+/**
+ * Wait until every byte of a stream has arrived
+ * The *_complete message travels on the WebSocket and can overtake the last
+ * chunks on the data channel, so they get DATA_CHANNEL_GRACE_MS to catch up
+ * @param {Object} stream - Asset or NeRF stream state
+ * @returns {Promise<boolean>} False if bytes are still missing (chunks were dropped)
+ */
+function waitForStreamData(stream) {
+  if (stream.receivedBytes >= stream.totalSize) {
+    return Promise.resolve(true);
+  }
+
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      stream.onFilled = null;
+      resolve(false);
+    }, DATA_CHANNEL_GRACE_MS);
+
+    stream.onFilled = () => {
+      clearTimeout(timer);
+      stream.onFilled = null;
+      resolve(true);
+    };
+  });
+}
+
+/**
+ * Re-request the missing tail of a download over the WebSocket
+ * The data channel gives up on a chunk after a few retransmissions; the server
+ * resumes from the first missing byte and the received prefix is kept
+ * @param {string} key - "asset:<assetId>:<lod>" or "nerf:<assetId>"
+ * @param {Object} stream - Incomplete stream
+ * @param {Object} request - request_asset / request_nerf for the same content
+ */
+function repairDownload(key, stream, request) {
+  console.warn(
+    `${key} is missing data after byte ${stream.receivedBytes}/${stream.totalSize}, re-requesting over WebSocket`,
+  );
+
+  interruptedDownloads.set(key, stream);
+  ws.send(
+    JSON.stringify({
+      ...request,
+      offset: stream.receivedBytes,
+      sha256: stream.sha256,
+      transport: "websocket",
+    }),
+  );
+}
+
+/**
+ * Download an asset from the HTTP URL in its metadata instead of the socket
+ * @param {Object} data - asset_metadata with transport "http" and httpUrl
+ */
+function fetchAssetOverHttp(data) {
+  console.log(`Fetching ${data.assetId} (${data.lod}) from ${data.httpUrl}`);
+  updateStatus("binary-status", "Downloading (HTTP)", "pending");
+
+  const headers = authToken ? { Authorization: `Bearer ${authToken}` } : {};
+  fetch(data.httpUrl, { headers: headers })
+    .then((response) => {
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      return response.arrayBuffer();
+    })
+    .then((arrayBuffer) => {
+      trackDataReceived(arrayBuffer.byteLength);
+      loadDownloadedAsset({
+        assetId: data.assetId,
+        lod: data.lod,
+        sha256: data.sha256,
+        resumed: false,
+        buffer: new Uint8Array(arrayBuffer),
+      });
+    })
+    .catch((error) => {
+      console.error(`HTTP download of ${data.assetId} failed:`, error);
+      updateStatus("binary-status", "Download Error", "disconnected");
+    });
+}
+
+/**
+ * Verify, cache and display a fully downloaded GLB
+ * @param {Object} stream - { assetId, lod, sha256, resumed, buffer }
+ * @param {boolean} refining - Whether the server is streaming a higher LOD next
+ */
+function loadDownloadedAsset(stream, refining = false) {
+  verifyDownload(stream).then((valid) => {
+    if (!valid) {
+      console.error(
+        `Integrity check failed for ${stream.assetId} (${stream.lod})`,
+      );
+      updateStatus("binary-status", "Integrity Error", "disconnected");
+
+      // A resumed download may have been stitched from a stale partial copy
+      if (stream.resumed) {
+        queueAssetMessage(() => ({
+          type: "request_asset",
+          assetId: stream.assetId,
+          lod: stream.lod,
+          transport: assetTransport,
+        }));
+      }
+      return;
+    }
+
+    // Keep verified downloads for later page loads
+    if (stream.sha256) {
+      putCachedAsset(stream.sha256, stream.assetId, stream.lod, stream.buffer);
+    }
+
+    // Create blob from the assembled buffer
+    const blob = new Blob([stream.buffer], { type: "model/gltf-binary" });
+    const url = URL.createObjectURL(blob);
+
+    loadGLBModel(url, stream.assetId, stream.lod, refining);
+  });
+}
+
+/**
+ * Check a reassembled download against the SHA-256 from its metadata
+ * Passes when the server sent no hash or the page cannot hash (insecure context)
+ * @param {Object} stream - Completed stream ({ buffer, sha256 })
+ * @returns {Promise<boolean>} True if the buffer is intact
+ */
+async function verifyDownload(stream) {
+  if (!stream.sha256 || !window.crypto || !window.crypto.subtle) {
+    return true;
+  }
+
+  const digest = await window.crypto.subtle.digest("SHA-256", stream.buffer);
+  const hex = Array.from(new Uint8Array(digest), (byte) =>
+    byte.toString(16).padStart(2, "0"),
+  ).join("");
+
+  return hex === stream.sha256;
+}
+
+/**
+ * Keep partially received streams when the connection drops
+ * Only streams with a content hash can be resumed safely
+ */
+function saveInterruptedDownloads() {
+  assetStreams.forEach((stream) => {
+    if (stream.sha256 && stream.receivedBytes > 0) {
+      interruptedDownloads.set(`asset:${stream.assetId}:${stream.lod}`, stream);
+    }
+  });
+  nerfStreams.forEach((stream) => {
+    if (stream.sha256 && stream.receivedBytes > 0) {
+      interruptedDownloads.set(`nerf:${stream.assetId}`, stream);
+    }
+  });
+
+  assetStreams.clear();
+  nerfStreams.clear();
+}
+
+/**
+ * Ask the server to continue interrupted downloads from the last byte received
+ * @returns {boolean} True if any download is being resumed
+ */
+function resumeInterruptedDownloads() {
+  interruptedDownloads.forEach((stream, key) => {
+    console.log(
+      `Resuming ${key} from byte ${stream.receivedBytes}/${stream.totalSize}`,
+    );
+
+    const request = key.startsWith("nerf:")
+      ? {
+          type: "request_nerf",
+          assetId: stream.assetId,
+          options: { quality: stream.quality },
+        }
+      : { type: "request_asset", assetId: stream.assetId, lod: stream.lod };
 
-  const combinedBuffer = new Uint8Array(totalLength);
-  let offset = 0;
-  stream.chunks.forEach((chunk) => {
-    combinedBuffer.set(chunk, offset);
-    offset += chunk.length;
+    ws.send(
+      JSON.stringify({
+        ...request,
+        offset: stream.receivedBytes,
+        sha256: stream.sha256,
+      }),
+    );
   });
 
-  console.log(`Combined buffer size: ${combinedBuffer.length} bytes`);
+  return interruptedDownloads.size > 0;
+}
 
-  // Create blob from combined buffer
-  const blob = new Blob([combinedBuffer], { type: "model/gltf-binary" });
-  const url = URL.createObjectURL(blob);
+/**
+ * Claim the interrupted download a new stream continues, if any
+ * Any kept partial for the same asset is dropped: the server either resumed it
+ * (metadata carries the offset and the same hash) or started over
+ * @param {string} key - "asset:<assetId>:<lod>" or "nerf:<assetId>"
+ * @param {Object} data - asset_metadata / nerf_metadata
+ * @returns {Object|null} Interrupted stream to continue, or null
+ */
+function takeInterruptedDownload(key, data) {
+  const partial = interruptedDownloads.get(key);
+  interruptedDownloads.delete(key);
 
-  // Load the GLB model
-  loadGLBModel(url, data.assetId, stream.lod);
+  if (
+    !partial ||
+    !data.offset ||
+    partial.sha256 !== data.sha256 ||
+    partial.receivedBytes !== data.offset
+  ) {
+    return null;
+  }
 
-  // Clean up
-  assetStreams.delete(data.assetId);
+  console.log(`Resumed ${key} at byte ${data.offset}`);
+  return partial;
 }
 
-function loadGLBModel(url, assetId, lod) {
+/**
+ * Load a GLB and swap it in for the current model
+ * The previous model fades out over the new one so LOD changes don't pop
+ * @param {string} url - Object URL of the GLB
+ * @param {string} assetId - Asset identifier
+ * @param {string} lod - LOD of this GLB
+ * @param {boolean} refining - Whether the server is streaming a higher LOD next
+ */
+function loadGLBModel(url, assetId, lod, refining = false) {
   console.log("Loading GLB model:", assetId, "LOD:", lod, "from URL:", url);
   updateStatus("binary-status", "Loading GLB...", "pending");
 
+  const loadNumber = ++modelLoadCount;
+
   gltfLoader.load(
     url,
     (gltf) => {
-      console.log("GLB model loaded successfully:", assetId);
+      URL.revokeObjectURL(url);
 
-      // Remove the old cube
-      if (cube) {
-        scene.remove(cube);
+      // A later LOD finished parsing first; don't step back down
+      if (loadNumber < shownModelLoad) {
+        console.log(`Discarding superseded GLB: ${assetId} (${lod})`);
+        return;
       }
+      shownModelLoad = loadNumber;
+
+      console.log("GLB model loaded successfully:", assetId);
 
       // Add the loaded model to the scene
       const model = gltf.scene;
@@ -817,6 +1693,13 @@ function loadGLBModel(url, assetId, lod) {
       // Store asset metadata for adaptive streaming
       model.userData.assetId = assetId;
       model.userData.lod = lod;
+      recordShownModel(assetId, lod);
+
+      // Take over from the old model, which fades out on top
+      if (cube) {
+        model.visible = cube.visible;
+        fadeOutModel(cube);
+      }
 
       scene.add(model);
 
@@ -824,8 +1707,15 @@ function loadGLBModel(url, assetId, lod) {
       cube = model;
 
       console.log("Model added to scene");
-      updateStatus("binary-status", "GLB Loaded!", "connected");
-      URL.revokeObjectURL(url);
+      if (refining) {
+        updateStatus(
+          "binary-status",
+          `GLB Loaded (${lod}, refining...)`,
+          "pending",
+        );
+      } else {
+        updateStatus("binary-status", "GLB Loaded!", "connected");
+      }
     },
     (progress) => {
       console.log("Loading progress:", progress);
@@ -838,6 +1728,65 @@ function loadGLBModel(url, assetId, lod) {
   );
 }
 
+/**
+ * Start fading out a model that has been replaced
+ * It is drawn after, and slightly in front of, its replacement so the two don't
+ * z-fight while it becomes transparent
+ * @param {THREE.Object3D} model - Replaced model (still in the scene)
+ */
+function fadeOutModel(model) {
+  const materials = new Set();
+  model.traverse((child) => {
+    if (child.isMesh) {
+      child.renderOrder = 1;
+      [].concat(child.material).forEach((material) => materials.add(material));
+    }
+  });
+
+  const fade = { model, materials: [], startedAt: performance.now() };
+  materials.forEach((material) => {
+    fade.materials.push({ material, opacity: material.opacity });
+    material.transparent = true;
+    material.depthWrite = false;
+    material.polygonOffset = true;
+    material.polygonOffsetFactor = -1;
+    material.polygonOffsetUnits = -1;
+    material.needsUpdate = true;
+  });
+
+  modelFades.push(fade);
+}
+
+/**
+ * Advance model fade-outs; called every frame from animate()
+ * (requestAnimationFrame doesn't run during XR sessions)
+ */
+function updateModelFades() {
+  if (modelFades.length === 0) return;
+
+  const now = performance.now();
+  modelFades = modelFades.filter((fade) => {
+    const progress = Math.min(1, (now - fade.startedAt) / MODEL_FADE_DURATION);
+    fade.materials.forEach(({ material, opacity }) => {
+      material.opacity = opacity * (1 - progress);
+    });
+
+    if (progress < 1) {
+      return true;
+    }
+
+    // Fully faded: free the old model's GPU resources
+    scene.remove(fade.model);
+    fade.model.traverse((child) => {
+      if (child.isMesh) {
+        child.geometry.dispose();
+      }
+    });
+    fade.materials.forEach(({ material }) => material.dispose());
+    return false;
+  });
+}
+
 // NeRF/Gaussian Splat Streaming Functions
 
 /**
@@ -867,6 +1816,55 @@ function requestNeRF(assetId) {
   updateStatus("binary-status", "Requesting NeRF...", "pending");
 }
 
+/**
+ * Stop an in-flight NeRF/Gaussian Splat transfer
+ * @param {string} assetId - The asset identifier
+ */
+function cancelNeRF(assetId) {
+  if (!ws || ws.readyState !== WebSocket.OPEN) return;
+
+  ws.send(JSON.stringify({ type: "cancel_nerf", assetId: assetId }));
+}
+
+/**
+ * Move an in-flight asset or splat stream ahead of (or behind) the others
+ * @param {number} streamId - Stream id from asset_metadata / nerf_metadata
+ * @param {number} priority - 0-10, higher streams are sent first
+ */
+function setStreamPriority(streamId, priority) {
+  if (!ws || ws.readyState !== WebSocket.OPEN) return;
+
+  ws.send(
+    JSON.stringify({
+      type: "reprioritize_stream",
+      streamId: streamId,
+      priority: priority,
+    }),
+  );
+}
+
+/**
+ * Stop an in-flight asset or splat stream
+ * @param {number} streamId - Stream id from asset_metadata / nerf_metadata
+ */
+function cancelStream(streamId) {
+  if (!ws || ws.readyState !== WebSocket.OPEN) return;
+
+  ws.send(JSON.stringify({ type: "cancel_stream", streamId: streamId }));
+}
+
+/**
+ * Drop partial state for a stream the server stopped sending
+ * @param {Object} data - { streamId, kind, assetId, lod, bytesSent, totalBytes, reason }
+ */
+function handleStreamCancelled(data) {
+  console.log(
+    `Stream ${data.streamId} (${data.kind} ${data.assetId}${data.lod ? ` ${data.lod}` : ""}) cancelled after ${data.bytesSent}/${data.totalBytes} bytes: ${data.reason}`,
+  );
+  assetStreams.delete(data.streamId);
+  nerfStreams.delete(data.streamId);
+}
+
 /**
  * Handle NeRF metadata message from server
  * Initializes the stream state for receiving chunks
@@ -877,17 +1875,29 @@ function handleNeRFMetadata(data) {
     `[NeRF] Starting NeRF download: ${data.assetId}, format: ${data.format}, size: ${data.size} bytes, chunks: ${data.chunks}`,
   );
 
-  // Initialize stream state for this NeRF asset
-  nerfStreams.set(data.assetId, {
+  // Initialize stream state for this NeRF asset, continuing an interrupted
+  // download if the server resumed it
+  const partial = takeInterruptedDownload(`nerf:${data.assetId}`, data);
+
+  nerfStreams.set(data.streamId, {
     assetId: data.assetId,
     format: data.format,
+    quality: data.quality,
     totalSize: data.size,
     totalChunks: data.chunks,
-    receivedChunks: 0,
-    chunks: [],
-    expectingChunk: false,
-    currentChunkIndex: 0,
+    receivedChunks: partial ? partial.receivedChunks : 0,
+    receivedBytes: partial ? partial.receivedBytes : 0,
+    pendingRanges: partial ? partial.pendingRanges : new Map(),
+    sha256: data.sha256,
+    encoding: data.encoding || "identity",
+    decoding: Promise.resolve(), // Compressed chunks still being decoded
+    buffer: partial ? partial.buffer : new Uint8Array(data.size),
   });
+  replayEarlyFrames(data.streamId);
+
+  if (data.encoding && data.encoding !== "identity") {
+    console.log(`[NeRF] Chunks are ${data.encoding}-compressed`);
+  }
 
   // Start bandwidth monitoring for this download
   bandwidthMonitor.downloadStart = Date.now();
@@ -897,79 +1907,57 @@ function handleNeRFMetadata(data) {
 }
 
 /**
- * Handle NeRF chunk metadata - indicates binary data is coming next
- * @param {Object} data - Chunk metadata including assetId, chunkIndex, totalChunks
+ * Handle a binary NeRF chunk frame
+ * Called from handleBinaryFrame for splat frames
+ * @param {Object} frame - Decoded frame (streamId, chunkIndex, offset, payload)
  */
-function handleNeRFChunk(data) {
-  const stream = nerfStreams.get(data.assetId);
-  if (!stream) {
-    console.error(
-      "[NeRF] Received chunk for unknown NeRF asset:",
-      data.assetId,
-    );
+function handleNeRFChunkData(frame) {
+  const targetStream = nerfStreams.get(frame.streamId);
+  if (!targetStream) {
+    console.error("[NeRF] Received chunk for unknown stream:", frame.streamId);
     return;
   }
 
-  // Mark that we're expecting binary chunk data next
-  stream.expectingChunk = true;
-  stream.currentChunkIndex = data.chunkIndex;
-
-  console.log(
-    `[NeRF] Expecting binary chunk ${data.chunkIndex + 1}/${data.totalChunks} for ${data.assetId}`,
-  );
-}
-
-/**
- * Handle binary NeRF chunk data
- * Called from WebSocket onmessage when binary data is received
- * @param {ArrayBuffer} arrayBuffer - The raw chunk data
- */
-function handleNeRFChunkData(arrayBuffer) {
-  // Find the stream that is expecting a chunk
-  let targetStream = null;
-  let targetAssetId = null;
+  // Update bandwidth monitoring (bytes as received, before decompression)
+  bandwidthMonitor.bytesReceived += frame.payload.length;
+  updateBandwidthMetrics();
 
-  for (const [assetId, stream] of nerfStreams) {
-    if (stream.expectingChunk) {
-      targetStream = stream;
-      targetAssetId = assetId;
-      break;
-    }
-  }
+  // Track total data for stats overlay
+  trackDataReceived(frame.payload.length);
 
-  if (!targetStream) {
-    // Not a NeRF chunk, might be asset chunk - let existing handler try
-    return false;
+  if (targetStream.encoding === "identity") {
+    placeNeRFChunk(targetStream, frame, frame.payload);
+    return;
   }
 
-  const chunkData = new Uint8Array(arrayBuffer);
+  // Decompression is asynchronous; chain it so chunks land in arrival order
+  targetStream.decoding = targetStream.decoding
+    .then(() => decompressSplatChunk(frame.payload, targetStream.encoding))
+    .then((chunkData) => placeNeRFChunk(targetStream, frame, chunkData));
+}
 
-  // Store the chunk
-  targetStream.chunks.push(chunkData);
+/**
+ * Copy a (decompressed) chunk into its stream's buffer
+ * @param {Object} targetStream - NeRF stream state
+ * @param {Object} frame - Frame the chunk arrived in (chunkIndex, offset)
+ * @param {Uint8Array} chunkData - Uncompressed chunk bytes
+ */
+function placeNeRFChunk(targetStream, frame, chunkData) {
+  // Chunks carry their offset, so they can be placed in any order
+  targetStream.buffer.set(chunkData, frame.offset);
   targetStream.receivedChunks++;
-
-  // Update bandwidth monitoring
-  bandwidthMonitor.bytesReceived += chunkData.length;
-  updateBandwidthMetrics();
-
-  // Track total data for stats overlay
-  trackDataReceived(chunkData.length);
+  recordReceivedRange(targetStream, frame.offset, chunkData.length);
 
   console.log(
-    `[NeRF] Received chunk ${targetStream.receivedChunks}/${targetStream.totalChunks} for ${targetAssetId} (${chunkData.length} bytes)`,
+    `[NeRF] Received chunk ${frame.chunkIndex + 1}/${targetStream.totalChunks} for ${targetStream.assetId} (${chunkData.length} bytes)`,
   );
 
-  // Reset expecting flag
-  targetStream.expectingChunk = false;
-
   // Update status
   updateStatus(
     "binary-status",
     `NeRF: (${targetStream.receivedChunks}/${targetStream.totalChunks})`,
     "pending",
   );
-
-  return true; // Indicate we handled the data
 }
 
 /**
@@ -978,7 +1966,7 @@ function handleNeRFChunkData(arrayBuffer) {
  * @param {Object} data - Completion data including assetId
  */
 function handleNeRFComplete(data) {
-  const stream = nerfStreams.get(data.assetId);
+  const stream = nerfStreams.get(data.streamId);
   if (!stream) {
     console.error(
       "[NeRF] Received completion for unknown NeRF asset:",
@@ -991,29 +1979,99 @@ function handleNeRFComplete(data) {
     `[NeRF] Download complete: ${data.assetId}, received ${stream.receivedChunks} chunks`,
   );
 
-  // Combine all chunks into single buffer
-  let totalLength = 0;
-  stream.chunks.forEach((chunk) => (totalLength += chunk.length));
+  // Chunks on the data channel can still be in flight
+  waitForStreamData(stream).then((filled) => {
+    nerfStreams.delete(data.streamId);
+
+    if (filled) {
+      finishNeRFDownload(data, stream);
+      return;
+    }
 
-  const combinedBuffer = new Uint8Array(totalLength);
-  let offset = 0;
-  stream.chunks.forEach((chunk) => {
-    combinedBuffer.set(chunk, offset);
-    offset += chunk.length;
+    // A failed decompression also leaves the stream short; report it rather
+    // than repairing a stream that would fail the same way
+    stream.decoding.then(
+      () =>
+        repairDownload(`nerf:${stream.assetId}`, stream, {
+          type: "request_nerf",
+          assetId: stream.assetId,
+          options: { quality: stream.quality },
+        }),
+      (error) =>
+        handleNeRFError({ assetId: data.assetId, error: error.message }),
+    );
   });
+}
+
+/**
+ * Verify an assembled splat download and load it
+ * @param {Object} data - nerf_complete message
+ * @param {Object} stream - Fully received NeRF stream
+ */
+function finishNeRFDownload(data, stream) {
+  // Wait for any chunks still being decompressed
+  stream.decoding
+    .then(() => verifyDownload(stream))
+    .then((valid) => {
+      if (!valid) {
+        handleNeRFError({
+          assetId: data.assetId,
+          error: "Integrity check failed",
+        });
+        return;
+      }
 
-  console.log(`[NeRF] Combined buffer size: ${combinedBuffer.length} bytes`);
+      // Create blob from the assembled buffer
+      const mimeType = getMimeTypeForFormat(stream.format);
+      const blob = new Blob([stream.buffer], { type: mimeType });
+      const url = URL.createObjectURL(blob);
 
-  // Create blob from combined buffer
-  const mimeType = getMimeTypeForFormat(stream.format);
-  const blob = new Blob([combinedBuffer], { type: mimeType });
-  const url = URL.createObjectURL(blob);
+      // Load the Gaussian Splat model
+      loadNeRFModel(url, data.assetId, stream.format);
+    })
+    .catch((error) =>
+      handleNeRFError({
+        assetId: data.assetId,
+        error: error.message,
+      }),
+    );
+}
+
+/**
+ * List the splat chunk encodings this browser can decompress, best first
+ * @returns {Array<string>} Encodings for the hello capabilities ('br', 'gzip')
+ */
+function getSupportedSplatEncodings() {
+  if (typeof DecompressionStream === "undefined") {
+    return [];
+  }
 
-  // Load the Gaussian Splat model
-  loadNeRFModel(url, data.assetId, stream.format);
+  return Object.keys(SPLAT_DECOMPRESSION_FORMATS).filter((encoding) => {
+    try {
+      new DecompressionStream(SPLAT_DECOMPRESSION_FORMATS[encoding]);
+      return true;
+    } catch (error) {
+      return false; // e.g. no brotli support yet
+    }
+  });
+}
+
+/**
+ * Decompress one splat chunk
+ * @param {Uint8Array} payload - Chunk as received
+ * @param {string} encoding - Encoding from nerf_metadata ('br' or 'gzip')
+ * @returns {Promise<Uint8Array>} Uncompressed chunk
+ */
+function decompressSplatChunk(payload, encoding) {
+  const decompressed = new Blob([payload])
+    .stream()
+    .pipeThrough(
+      new DecompressionStream(SPLAT_DECOMPRESSION_FORMATS[encoding]),
+    );
 
-  // Clean up stream state
-  nerfStreams.delete(data.assetId);
+  return new Response(decompressed)
+    .arrayBuffer()
+    .then((buffer) => new Uint8Array(buffer));
 }
 
 /**
@@ -1024,8 +2082,10 @@ function handleNeRFError(data) {
   console.error(`[NeRF] Error streaming ${data.assetId}:`, data.error);
 
   // Clean up any partial stream state
-  if (data.assetId) {
-    nerfStreams.delete(data.assetId);
+  for (const [streamId, stream] of nerfStreams) {
+    if (stream.assetId === data.assetId) {
+      nerfStreams.delete(streamId);
+    }
   }
 
   // Disable NeRF button and show error state
@@ -1122,6 +2182,10 @@ function loadNeRFModel(url, assetId, format) {
         updateStatus("binary-status", "NeRF Ready", "connected");
         updateModeButtons();
         URL.revokeObjectURL(url);
+
+        if (pendingRenderMode) {
+          setRenderMode(pendingRenderMode);
+        }
       },
       onError: (error) => {
         console.error("[NeRF] Failed to load Gaussian Splat:", error);
@@ -1200,10 +2264,15 @@ function sendBandwidthMetrics() {
     timestamp: Date.now(),
   };
 
+  // The recommendation is sized for the asset on screen
+  const currentAsset = getCurrentAssetLOD();
+
   ws.send(
     JSON.stringify({
       type: "bandwidth-metrics",
       metrics: metrics,
+      assetId: currentAsset ? currentAsset.base : undefined,
+      lod: currentAsset ? currentAsset.lod : undefined,
     }),
   );
 
@@ -1212,6 +2281,8 @@ function sendBandwidthMetrics() {
   );
 }
 
+let lodSwitchTimer = null; // Pending re-request after a lod-recommendation
+
 function handleLODRecommendation(lod) {
   console.log(`Server recommends LOD: ${lod}`);
   bandwidthMonitor.recommendedLOD = lod;
@@ -1227,13 +2298,18 @@ function handleLODRecommendation(lod) {
     return;
   }
 
-  // Auto-request new asset if LOD changed significantly
+  // Auto-request new asset if LOD changed significantly; a newer
+  // recommendation replaces a switch that has not started yet
+  clearTimeout(lodSwitchTimer);
   const currentAsset = getCurrentAssetLOD();
   if (currentAsset && currentAsset.base && currentAsset.lod !== lod) {
     console.log(
       `LOD changed from ${currentAsset.lod} to ${lod}, requesting new asset...`,
     );
-    setTimeout(() => requestAsset(currentAsset.base), 3000);
+    lodSwitchTimer = setTimeout(
+      () => requestAsset(currentAsset.base, lod),
+      3000,
+    );
   }
 }
 
@@ -1519,6 +2595,76 @@ function enableCameraControls() {
   console.log("Camera controls enabled (WASD + mouse drag)");
 }
 
+// Room Functions
+
+/**
+ * Join another room (server replies with room-joined)
+ * @param {string} newRoomId - Room to join
+ */
+function joinRoom(newRoomId) {
+  if (!ws || ws.readyState !== WebSocket.OPEN) {
+    console.warn("Cannot join room: WebSocket not connected");
+    return;
+  }
+
+  ws.send(
+    JSON.stringify({
+      type: "join-room",
+      roomId: newRoomId,
+    }),
+  );
+}
+
+/**
+ * Leave the current room and return to the default room
+ */
+function leaveRoom() {
+  if (!ws || ws.readyState !== WebSocket.OPEN) return;
+
+  ws.send(JSON.stringify({ type: "leave-room" }));
+}
+
+/**
+ * Handle room switch confirmation from server
+ * Tears down the previous room's peers, avatars and objects, then
+ * populates the new room
+ * @param {Object} data - Room state including roomId, peers, userPositions, objects
+ */
+function handleRoomJoined(data) {
+  console.log(`Joined room ${data.roomId} (previous: ${data.previousRoom})`);
+  roomId = data.roomId;
+
+  // Drop state from the previous room
+  peers.forEach((peer) => peer.destroy());
+  peers.clear();
+  updatePeerCount();
+
+  Array.from(avatars.keys()).forEach((userId) => removeAvatar(userId));
+  avatars.clear();
+  userPositions.clear();
+
+  Array.from(sharedObjects.keys()).forEach((objectId) =>
+    handleObjectDeleted(objectId),
+  );
+
+  // Populate the new room
+  data.peers.forEach((peerId) => {
+    createPeerConnection(peerId, true);
+  });
+
+  if (data.userPositions) {
+    Object.keys(data.userPositions).forEach((userId) => {
+      if (userId !== clientId) {
+        const userData = data.userPositions[userId];
+        createAvatar(userId, userData.color);
+        updateAvatarPosition(userId, userData);
+      }
+    });
+  }
+
+  handleRoomObjects(data.objects || []);
+}
+
 // Object Synchronization Functions
 
 /**
@@ -1546,6 +2692,19 @@ function handleRoomObjects(objects) {
   });
 }
 
+/**
+ * Handle a room restored from a snapshot - replaces all shared objects
+ */
+function handleRoomRestored(objects) {
+  console.log(`Room ${roomId} restored from snapshot`);
+
+  Array.from(sharedObjects.keys()).forEach((objectId) =>
+    handleObjectDeleted(objectId),
+  );
+
+  handleRoomObjects(objects);
+}
+
 /**
  * Spawn a new object in the scene and sync to server
  */
@@ -2229,6 +3388,10 @@ function initNetworkStats() {
   // Start the ping loop for latency measurement
   setInterval(sendPing, networkStats.pingInterval);
 
+  // Report QoE periodically, and once more when the page goes away
+  setInterval(sendQoeReport, qoe.reportInterval);
+  window.addEventListener("pagehide", sendQoeReport);
+
   console.log("Network stats initialized");
 }
 
@@ -2246,6 +3409,13 @@ function updateFpsCounter() {
     );
     networkStats.frameCount = 0;
     networkStats.lastFpsTime = now;
+
+    qoe.fpsSum += networkStats.fps;
+    qoe.fpsSamples++;
+    qoe.minFps =
+      qoe.minFps === null
+        ? networkStats.fps
+        : Math.min(qoe.minFps, networkStats.fps);
   }
 }
 
@@ -2378,6 +3548,124 @@ function updateNetworkStatsDisplay() {
  */
 function trackDataReceived(bytes) {
   networkStats.totalDataTransferred += bytes;
+  qoe.lastDataAt = performance.now();
+}
+
+// QoE telemetry functions
+
+/**
+ * Accumulate stall time - called every frame from animate()
+ * A stall is a gap in an asset or splat download's data longer than
+ * qoe.stallThreshold; the whole gap counts once it passes the threshold
+ */
+function updateStallTime() {
+  const now = performance.now();
+  const elapsed = qoe.lastFrameAt ? now - qoe.lastFrameAt : 0;
+  qoe.lastFrameAt = now;
+
+  if (assetStreams.size === 0 && nerfStreams.size === 0) {
+    // Gaps are measured from when a download starts
+    qoe.lastDataAt = now;
+    return;
+  }
+
+  const gap = now - qoe.lastDataAt;
+  if (gap > qoe.stallThreshold) {
+    qoe.stallTime += gap - elapsed > qoe.stallThreshold ? elapsed : gap;
+  }
+}
+
+/**
+ * Record a model being put on screen: the first render, LOD switches and
+ * time spent at each LOD
+ * @param {string} assetId - Asset identifier
+ * @param {string} lod - LOD now on screen
+ */
+function recordShownModel(assetId, lod) {
+  const now = performance.now();
+
+  if (qoe.timeToFirstRender === null) {
+    qoe.timeToFirstRender = Math.round(now);
+    console.log(`[QoE] Time to first render: ${qoe.timeToFirstRender}ms`);
+  }
+
+  if (qoe.shown) {
+    updateLodTime(now);
+    if (qoe.shown.assetId === assetId && qoe.shown.lod !== lod) {
+      qoe.lodSwitches++;
+    }
+  }
+  qoe.shown = { assetId: assetId, lod: lod, since: now };
+}
+
+/**
+ * Add the time the model on screen has been shown since the last update
+ * @param {number} now - performance.now() timestamp
+ */
+function updateLodTime(now) {
+  const key = `${qoe.shown.assetId}:${qoe.shown.lod}`;
+  if (!qoe.lodTime.has(key)) {
+    qoe.lodTime.set(key, {
+      assetId: qoe.shown.assetId,
+      lod: qoe.shown.lod,
+      ms: 0,
+    });
+  }
+
+  qoe.lodTime.get(key).ms += now - qoe.shown.since;
+  qoe.shown.since = now;
+}
+
+/**
+ * Send this page load's QoE totals to the server
+ */
+function sendQoeReport() {
+  if (!ws || ws.readyState !== WebSocket.OPEN) return;
+
+  const now = performance.now();
+  if (qoe.shown) {
+    updateLodTime(now);
+  }
+  const currentAsset = getCurrentAssetLOD();
+
+  ws.send(
+    JSON.stringify({
+      type: "qoe-report",
+      uptime: Math.round(now),
+      timeToFirstRender: qoe.timeToFirstRender,
+      lodSwitches: qoe.lodSwitches,
+      stallTime: Math.round(qoe.stallTime),
+      bytesReceived: networkStats.totalDataTransferred,
+      fps: {
+        average: qoe.fpsSamples
+          ? Math.round((qoe.fpsSum / qoe.fpsSamples) * 10) / 10
+          : 0,
+        min: qoe.minFps,
+        current: networkStats.fps,
+        samples: qoe.fpsSamples,
+      },
+      lodTime: Array.from(qoe.lodTime.values()).map((entry) => ({
+        assetId: entry.assetId,
+        lod: entry.lod,
+        ms: Math.round(entry.ms),
+      })),
+      assetId: currentAsset ? currentAsset.base : undefined,
+      lod: currentAsset ? currentAsset.lod : undefined,
+    }),
+  );
+}
+
+/**
+ * Point the stats panel's report link at this session's QoE report
+ */
+function updateQoeReportLink() {
+  const link = document.getElementById("qoe-report-link");
+  if (!link) return;
+
+  const params = authToken
+    ? `?${new URLSearchParams({ token: authToken })}`
+    : "";
+  link.href = `/api/sessions/${encodeURIComponent(clientId)}/report${params}`;
 }
 
 /**
@@ -2498,6 +3786,9 @@ function updateLODIndicator() {
  * @param {string} mode - 'glb' or 'nerf'
  */
 function setRenderMode(mode) {
+  // An explicit choice replaces a mode still waiting to be restored
+  pendingRenderMode = null;
+
   if (mode === renderMode) {
     console.log(`Already in ${mode} mode`);
     return;
@@ -2545,6 +3836,26 @@ function setRenderMode(mode) {
   }
 }
 
+/**
+ * Return to the render mode of a resumed session (e.g. after a page reload)
+ * NeRF mode waits until the splat has loaded
+ * @param {string} mode - 'glb' or 'nerf'
+ */
+function restoreRenderMode(mode) {
+  if (mode === renderMode) {
+    return;
+  }
+
+  if (
+    mode === "nerf" &&
+    !(gaussianRenderer && gaussianRenderer.getSplatMesh())
+  ) {
+    pendingRenderMode = mode;
+    return;
+  }
+  setRenderMode(mode);
+}
+
 /**
  * Update the render mode toggle buttons UI
  */
@@ -2574,6 +3885,8 @@ function updateModeButtons() {
  * @param {Array} assets - List of available assets
  */
 function handleAssetList(assets) {
+  pruneAssetCache(assets);
+
   // Check if the helmet asset has NeRF available
   const helmetAsset = assets.find((asset) => asset.id === "helmet");
   if (helmetAsset) {
@@ -2704,7 +4017,10 @@ function triggerProgressiveRefinement() {
   if (currentAsset && currentAsset.base) {
     // Small delay for smooth transition
     setTimeout(() => {
-      requestAsset(currentAsset.base, null); // null means use adaptive streaming
+      // Drop a low/high transfer still in flight so it doesn't hold up the new one
+      cancelAsset(currentAsset.base);
+      // null means use adaptive streaming; step up through the LODs in between
+      requestAsset(currentAsset.base, null, true);
     }, 500);
   }
 }
@@ -2927,6 +4243,12 @@ function downloadImage(dataURL, filename) {
 window.startViewCapture = startViewCapture;
 window.captureState = captureState;
 window.downloadImage = downloadImage;
+window.joinRoom = joinRoom;
+window.leaveRoom = leaveRoom;
+window.setStreamPriority = setStreamPriority;
+window.cancelStream = cancelStream;
+window.cancelAsset = cancelAsset;
+window.cancelNeRF = cancelNeRF;
 
 // Initialize the application
 initThreeJS();
@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+
+/**
+ * CLI Tool for Minting Access Tokens
+ *
+ * Signs an HS256 token with AUTH_SECRET for use as ?token= or a Bearer header.
+ *
+ * Usage:
+ *   AUTH_SECRET=<secret> node scripts/createToken.js <subject> <role> [rooms] [expiresInSeconds]
+ *
+ * Roles: viewer, editor, admin
+ * Rooms: comma-separated room IDs, or * for every room (default: every room)
+ *
+ * Examples:
+ *   AUTH_SECRET=dev node scripts/createToken.js alice editor lobby,review
+ *   AUTH_SECRET=dev node scripts/createToken.js ops admin '*' 86400
+ */
+
+const AuthManager = require('../lib/authManager');
+
+function main() {
+  const [subject, role, rooms, expiresIn] = process.argv.slice(2);
+
+  if (!process.env.AUTH_SECRET) {
+    console.error('AUTH_SECRET must be set');
+    process.exit(1);
+  }
+
+  if (!subject || !AuthManager.ROLES.includes(role)) {
+    console.error(
+      'Usage: node scripts/createToken.js <subject> <viewer|editor|admin> [rooms] [expiresInSeconds]'
+    );
+    process.exit(1);
+  }
+
+  const authManager = new AuthManager({ secret: process.env.AUTH_SECRET });
+  const claims = { sub: subject, role: role };
+  if (rooms) {
+    claims.rooms = rooms.split(',').map((room) => room.trim());
+  }
+
+  const expiresInSeconds = expiresIn ? parseInt(expiresIn, 10) : 3600;
+  console.log(authManager.sign(claims, expiresInSeconds));
+}
+
+main();
@@ -8,10 +8,45 @@ const AdaptiveStreamingManager = require("./lib/adaptiveStreaming");
 const FoveatedStreamingManager = require("./lib/foveatedStreaming");
 const RoomManager = require("./lib/roomManager");
 const ObjectSync = require("./lib/objectSync");
+const RoomStore = require("./lib/roomStore");
+const SessionManager = require("./lib/sessionManager");
+const AuthManager = require("./lib/authManager");
+const MessageValidator = require("./lib/messageValidator");
+const ClientCapabilities = require("./lib/clientCapabilities");
+const RateLimiter = require("./lib/rateLimiter");
+const AdmissionQueue = require("./lib/admissionQueue");
+const BinaryFrame = require("./lib/binaryFrame");
+const StreamScheduler = require("./lib/streamScheduler");
+const ChunkEncoding = require("./lib/chunkEncoding");
+const DataChannelTransport = require("./lib/dataChannelTransport");
+const NetworkShaper = require("./lib/networkShaper");
+const QoeTracker = require("./lib/qoeTracker");
+
+// Token auth is enforced when AUTH_SECRET is set; otherwise every client is an anonymous admin
+const authManager = new AuthManager({ secret: process.env.AUTH_SECRET });
 
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+const wss = new WebSocket.Server({
+  server,
+  verifyClient: verifyWebSocketClient,
+  // Transport compression for uncompressed splat chunks and JSON; binary streams
+  // choose per message whether it is worth it (see sendStreamChunk)
+  perMessageDeflate:
+    process.env.WS_PERMESSAGE_DEFLATE === "off"
+      ? false
+      : {
+          // Fast level: most messages are small and latency-sensitive
+          zlibDeflateOptions: { level: 3 },
+          // Small messages (pose updates, pings) cost more to compress than they save
+          threshold: 1024,
+          // Bound per-socket memory: a sliding window and no retained context
+          serverMaxWindowBits: 13,
+          serverNoContextTakeover: true,
+          clientNoContextTakeover: true,
+          concurrencyLimit: 10,
+        },
+});
 
 // Add WebXR permissions headers
 app.use((req, res, next) => {
@@ -50,6 +85,36 @@ const assetRequests = new promClient.Counter({
   registers: [register],
 });
 
+const assetCacheHits = new promClient.Counter({
+  name: "streamxr_asset_cache_hits_total",
+  help: "Total number of asset requests answered from the client's cache",
+  labelNames: ["asset"],
+  registers: [register],
+});
+
+const splatRawBytes = new promClient.Counter({
+  name: "streamxr_splat_raw_bytes_total",
+  help: "Uncompressed splat bytes streamed, by chunk encoding",
+  labelNames: ["encoding"],
+  registers: [register],
+});
+
+// permessage-deflate happens inside ws, so "identity" wire bytes are counted
+// before transport compression
+const splatWireBytes = new promClient.Counter({
+  name: "streamxr_splat_wire_bytes_total",
+  help: "Splat chunk payload bytes sent after chunk encoding",
+  labelNames: ["encoding"],
+  registers: [register],
+});
+
+const streamChunks = new promClient.Counter({
+  name: "streamxr_stream_chunks_total",
+  help: "Asset and splat chunks sent, by transport",
+  labelNames: ["transport"],
+  registers: [register],
+});
+
 const assetBytesTransferred = new promClient.Counter({
   name: "streamxr_asset_bytes_transferred_total",
   help: "Total bytes transferred for assets",
@@ -90,6 +155,20 @@ const errorCounter = new promClient.Counter({
   registers: [register],
 });
 
+// Messages dropped by per-client rate limits
+const rateLimitedMessages = new promClient.Counter({
+  name: "streamxr_rate_limited_messages_total",
+  help: "Total number of WebSocket messages dropped by rate limiting",
+  labelNames: ["message_type"],
+  registers: [register],
+});
+
+const rateLimitDisconnects = new promClient.Counter({
+  name: "streamxr_rate_limit_disconnects_total",
+  help: "Total number of clients disconnected for exceeding rate limits",
+  registers: [register],
+});
+
 // Golden Signal 4: Saturation - Connection capacity utilization
 const connectionSaturation = new promClient.Gauge({
   name: "streamxr_connection_saturation_ratio",
@@ -97,7 +176,16 @@ const connectionSaturation = new promClient.Gauge({
   registers: [register],
 });
 
-const MAX_CONNECTIONS = 100; // Configure based on server capacity
+const admissionQueueDepth = new promClient.Gauge({
+  name: "streamxr_admission_queue_depth",
+  help: "Number of connections waiting for admission, by requested room",
+  labelNames: ["room"],
+  registers: [register],
+});
+
+// Admission control: sessions beyond these limits wait in the admission queue
+const MAX_CONNECTIONS = parseInt(process.env.MAX_CONNECTIONS, 10) || 100;
+const MAX_ROOM_USERS = parseInt(process.env.MAX_ROOM_USERS, 10) || 50;
 
 // Metrics endpoint
 app.get("/metrics", async (req, res) => {
@@ -106,20 +194,290 @@ app.get("/metrics", async (req, res) => {
 });
 
 const clients = new Map();
+
+// Verified token claims per client: clientId -> { sub, role, rooms }
+const clientAuth = new Map();
 const assetManager = new AssetManager();
-const adaptiveStreaming = new AdaptiveStreamingManager();
+// ABR_STRATEGY: LOD strategy for clients and rooms that do not choose one
+const adaptiveStreaming = new AdaptiveStreamingManager({
+  defaultStrategy: process.env.ABR_STRATEGY,
+});
 const foveatedStreaming = new FoveatedStreamingManager();
 const roomManager = new RoomManager();
-const objectSync = new ObjectSync();
+const clientCapabilities = new ClientCapabilities();
+const admissionQueue = new AdmissionQueue({
+  maxLength: parseInt(process.env.MAX_QUEUE_LENGTH, 10) || 50,
+});
+
+// Room state persistence (set ROOM_PERSISTENCE=off to keep rooms in memory only)
+const roomStore =
+  process.env.ROOM_PERSISTENCE === "off"
+    ? null
+    : new RoomStore({ dataDir: process.env.ROOM_DATA_DIR });
+const objectSync = new ObjectSync({ store: roomStore });
+
+// Resume tokens let reconnecting clients reclaim their session within the grace window
+const sessionManager = new SessionManager({
+  gracePeriod: parseInt(process.env.SESSION_GRACE_MS, 10) || 30000,
+});
+
+// WebSocket heartbeat: ping every socket each interval and terminate those that
+// did not answer the previous ping (HEARTBEAT_INTERVAL_MS=0 disables; any other
+// value that is not a positive number keeps the default rather than turning the
+// heartbeat off)
+const DEFAULT_HEARTBEAT_INTERVAL = 30000;
+const HEARTBEAT_INTERVAL = getHeartbeatInterval(
+  process.env.HEARTBEAT_INTERVAL_MS,
+);
+
+/**
+ * Parse the heartbeat interval setting
+ * @param {string|undefined} value - HEARTBEAT_INTERVAL_MS
+ * @returns {number} Interval in ms (0 when disabled)
+ */
+function getHeartbeatInterval(value) {
+  if (value === undefined) return DEFAULT_HEARTBEAT_INTERVAL;
+  if (value.trim() === "0") return 0;
+
+  const interval = Number(value);
+  if (Number.isFinite(interval) && interval > 0) {
+    return interval;
+  }
+
+  console.warn(
+    `Invalid HEARTBEAT_INTERVAL_MS "${value}", using ${DEFAULT_HEARTBEAT_INTERVAL}ms`,
+  );
+  return DEFAULT_HEARTBEAT_INTERVAL;
+}
 
 // Asset streaming configuration
 const CHUNK_SIZE = 16 * 1024; // 16KB chunks
 
-wss.on("connection", (ws) => {
-  const clientId = generateId();
+// How long (seconds) HTTP caches may reuse an asset or splat before revalidating
+// (0 makes caches revalidate every time; anything but a whole number of seconds
+// keeps the default)
+const DEFAULT_ASSET_HTTP_MAX_AGE = 300;
+const ASSET_HTTP_MAX_AGE = getAssetHttpMaxAge(process.env.ASSET_HTTP_MAX_AGE);
+
+/**
+ * Parse the HTTP cache lifetime setting
+ * @param {string|undefined} value - ASSET_HTTP_MAX_AGE
+ * @returns {number} max-age in seconds
+ */
+function getAssetHttpMaxAge(value) {
+  if (value === undefined) return DEFAULT_ASSET_HTTP_MAX_AGE;
+
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10);
+  }
+
+  console.warn(
+    `Invalid ASSET_HTTP_MAX_AGE "${value}", using ${DEFAULT_ASSET_HTTP_MAX_AGE}s`,
+  );
+  return DEFAULT_ASSET_HTTP_MAX_AGE;
+}
+
+// Stream ids tag binary frames so chunks of concurrent streams can interleave
+let nextStreamId = 1;
+
+// Emulated network conditions per client (bandwidth cap, latency, jitter, stalls)
+const networkShaper = new NetworkShaper();
+
+// Per-session QoE telemetry from qoe-report messages, kept QOE_RETENTION_MS
+// after a session ends (GET /api/sessions/:id); a value that is not a
+// non-negative number keeps the default
+const DEFAULT_QOE_RETENTION = 60 * 60 * 1000;
+const qoeTracker = new QoeTracker({
+  retention: getQoeRetention(process.env.QOE_RETENTION_MS),
+  getLodLevels: getLodLevels,
+});
+
+/**
+ * Parse the QoE retention setting
+ * @param {string|undefined} value - QOE_RETENTION_MS
+ * @returns {number} Retention in ms
+ */
+function getQoeRetention(value) {
+  if (value === undefined) return DEFAULT_QOE_RETENTION;
+
+  const retention = Number(value);
+  if (value.trim() !== "" && Number.isFinite(retention) && retention >= 0) {
+    return retention;
+  }
+
+  console.warn(
+    `Invalid QOE_RETENTION_MS "${value}", using ${DEFAULT_QOE_RETENTION}ms`,
+  );
+  return DEFAULT_QOE_RETENTION;
+}
+
+// Interleaves each client's concurrent streams, highest priority first
+// Streams pause while more than STREAM_HIGH_WATER_MARK bytes are queued on the
+// socket and resume below STREAM_LOW_WATER_MARK; the measured drain rate is the
+// bandwidth estimate used for adaptive LOD selection
+const streamScheduler = new StreamScheduler({
+  highWaterMark:
+    parseInt(process.env.STREAM_HIGH_WATER_MARK, 10) || 1024 * 1024,
+  lowWaterMark: parseInt(process.env.STREAM_LOW_WATER_MARK, 10) || 256 * 1024,
+  // Bytes queued on both of the client's transports
+  getBufferedAmount: (clientId) => {
+    const ws = clients.get(clientId);
+    return (
+      (ws ? ws.bufferedAmount : 0) +
+      dataChannelTransport.getBufferedAmount(clientId)
+    );
+  },
+  onDrainSample: (clientId, bytes, durationMs) =>
+    adaptiveStreaming.updateMetrics(clientId, bytes, durationMs),
+  // Emulated links pace chunks to their bandwidth and stall now and then
+  getSendDelay: (clientId) => networkShaper.getSendDelay(clientId),
+  onChunkSent: (clientId, bytes) => {
+    networkShaper.recordSend(clientId, bytes);
+    qoeTracker.recordBytesSent(clientId, bytes);
+  },
+});
+
+// Optional WebRTC data channel per client for asset and splat chunks
+// WEBRTC_ICE_SERVERS: comma-separated STUN/TURN URLs ("" for host candidates only)
+// DATA_CHANNEL_MAX_RETRANSMITS: retries before a chunk is dropped (repaired over WebSocket)
+const dataChannelTransport = new DataChannelTransport({
+  iceServers: (process.env.WEBRTC_ICE_SERVERS !== undefined
+    ? process.env.WEBRTC_ICE_SERVERS
+    : "stun:stun.l.google.com:19302"
+  )
+    .split(",")
+    .filter(Boolean),
+  maxRetransmits:
+    process.env.DATA_CHANNEL_MAX_RETRANSMITS !== undefined
+      ? parseInt(process.env.DATA_CHANNEL_MAX_RETRANSMITS, 10)
+      : 2,
+  onSignal: (clientId, signal) =>
+    sendToClient(clientId, { type: "transport_signal", signal: signal }),
+  onStateChange: (clientId, state, reason) =>
+    sendToClient(clientId, {
+      type: "data_channel_state",
+      state: state,
+      reason: reason,
+    }),
+});
+
+// Schema registry for inbound WebSocket messages
+const messageValidator = new MessageValidator();
+
+// Token-bucket limits per client and message type
+// RATE_LIMITS overrides quotas as JSON, e.g. {"head-tracking":{"rate":20,"burst":40}}
+// (a malformed value keeps the default quotas)
+const rateLimiter = createRateLimiter(process.env.RATE_LIMITS);
+
+/**
+ * Create the rate limiter from the RATE_LIMITS setting
+ * @param {string|undefined} value - RATE_LIMITS
+ * @returns {RateLimiter} Limiter with the overrides, or the defaults if invalid
+ */
+function createRateLimiter(value) {
+  const options = {
+    maxViolations: parseInt(process.env.RATE_LIMIT_MAX_VIOLATIONS, 10) || 50,
+  };
+  if (!value) return new RateLimiter(options);
+
+  try {
+    return new RateLimiter({ ...options, limits: JSON.parse(value) });
+  } catch (error) {
+    console.warn(
+      `Invalid RATE_LIMITS (${error.message}), using the default quotas`,
+    );
+    return new RateLimiter(options);
+  }
+}
+
+// Room names clients may join (also used for the ?room= socket query)
+const ROOM_ID_PATTERN = MessageValidator.ROOM_ID_PATTERN;
+const ASSET_ID_PATTERN = MessageValidator.ASSET_ID_PATTERN;
+
+// Minimum role per message type (anything not listed needs "viewer")
+const MESSAGE_ROLES = {
+  "create-object": "editor",
+  "update-object": "editor",
+  "delete-object": "editor",
+  "grab-object": "editor",
+  "release-object": "editor",
+  "move-object": "editor",
+  "set-simulation-mode": "editor",
+};
+
+// Messages that operate on a roomId and require the sender to be a member
+const ROOM_SCOPED_MESSAGES = new Set([
+  "get-room-objects",
+  "create-object",
+  "update-object",
+  "delete-object",
+  "grab-object",
+  "release-object",
+  "move-object",
+]);
+
+wss.on("connection", (ws, req) => {
+  // Browsers answer ws-level pings automatically
+  ws.isAlive = true;
+  ws.on("pong", () => {
+    ws.isAlive = true;
+  });
+
+  // Suspended sessions give up their slot, so resuming clients need capacity
+  // in the room they are returning to like everyone else (unless a half-open
+  // socket of theirs still holds one)
+  const resumableId = getResumableClientId(req);
+  const room = resumableId
+    ? roomManager.getUserRoom(resumableId)
+    : getRequestedRoom(req) || roomManager.defaultRoom;
+  if (hasCapacity(room) || clients.has(resumableId)) {
+    admitClient(ws, req);
+  } else {
+    queueClient(ws, req, room);
+  }
+});
+
+/**
+ * Register an admitted connection: resume or create its session, join its room
+ * and start handling its messages
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {http.IncomingMessage} req - Upgrade request
+ */
+function admitClient(ws, req) {
+  // Claims verified during the upgrade (see verifyWebSocketClient)
+  const claims = req.auth || authManager.anonymousClaims;
+
+  // Reclaim a previous session if the client presents a valid resume token
+  const resumableId = getResumableClientId(req);
+  const resumed = Boolean(resumableId);
+  if (resumed) {
+    sessionManager.resume(getQueryParam(req, "resume"));
+  }
+  const clientId = resumed ? resumableId : generateId();
+  clientAuth.set(clientId, claims);
+
+  // A half-open socket may still be registered for a resumed client
+  const staleWs = clients.get(clientId);
   clients.set(clientId, ws);
+  networkShaper.attach(clientId, ws);
+  if (staleWs) {
+    streamScheduler.removeClient(clientId, "disconnected");
+    dataChannelTransport.close(clientId);
+    staleWs.terminate();
+  }
 
-  const roomInfo = roomManager.addUser(clientId, ws);
+  const roomInfo = resumed
+    ? {
+        room: roomManager.getUserRoom(clientId),
+        users: roomManager.getUsersInSameRoom(clientId),
+      }
+    : roomManager.addUser(
+        clientId,
+        ws,
+        getRequestedRoom(req) || roomManager.defaultRoom,
+      );
+  const newResumeToken = sessionManager.createSession(clientId);
+  qoeTracker.startSession(clientId, roomInfo.room);
 
   // Update metrics
   wsConnections.set(clients.size);
@@ -133,25 +491,70 @@ wss.on("connection", (ws) => {
   const objects = objectSync.getRoomObjects(roomInfo.room);
   objectCount.set({ room: roomInfo.room }, objects.length);
 
-  console.log(`Client ${clientId} connected. Total clients: ${clients.size}`);
+  console.log(
+    `Client ${clientId} ${resumed ? "resumed" : "connected"}. Total clients: ${clients.size}`,
+  );
 
   ws.on("message", async (message) => {
     const startTime = Date.now();
+    // Unknown types share one rate limit bucket and metric label so garbage
+    // cannot mint new ones
     let messageType = "unknown";
 
     try {
-      const data = JSON.parse(message);
-      messageType = data.type || "unknown";
+      const { data, error } = messageValidator.parse(message);
+      if (data && messageValidator.hasType(data.type)) {
+        messageType = data.type;
+      }
+
+      const rateLimit = rateLimiter.consume(clientId, messageType);
+      if (!rateLimit.allowed) {
+        handleRateLimited(clientId, ws, messageType, rateLimit);
+        return;
+      }
+
+      const requiredRole = error ? null : MESSAGE_ROLES[data.type] || "viewer";
 
-      if (data.type === "signal") {
-        broadcastToOthers(clientId, {
+      if (error) {
+        // Reject malformed payloads before they reach a handler
+        sendProtocolError(clientId, ws, messageType, error);
+      } else if (!authManager.hasRole(clientAuth.get(clientId), requiredRole)) {
+        // Reject messages the client's role does not permit
+        rejectForbidden(
+          clientId,
+          ws,
+          data.type,
+          `${data.type} requires ${requiredRole} role`,
+        );
+      } else if (
+        ROOM_SCOPED_MESSAGES.has(data.type) &&
+        !roomManager.isUserInRoom(clientId, data.roomId)
+      ) {
+        // Reject object operations on rooms the sender has not joined
+        rejectRoomOperation(clientId, ws, data.type, data.roomId);
+      } else if (data.type === "hello") {
+        // Negotiate protocol version and capabilities
+        handleHello(clientId, ws, data);
+      } else if (data.type === "ping") {
+        // Echo the client's timestamp for round-trip latency
+        ws.send(JSON.stringify({ type: "pong", timestamp: data.timestamp }));
+      } else if (data.type === "signal") {
+        // Peer connections only form between members of the same room
+        broadcastToRoom(clientId, {
           type: "signal",
           from: clientId,
           signal: data.signal,
         });
       } else if (data.type === "request_asset") {
         // Handle asset request with adaptive streaming
-        await handleAssetRequest(clientId, ws, data.assetId, data.lod);
+        await handleAssetRequest(clientId, ws, data.assetId, data.lod, {
+          priority: data.priority,
+          offset: data.offset,
+          sha256: data.sha256,
+          cachedHashes: data.cachedHashes,
+          progressive: data.progressive,
+          transport: data.transport,
+        });
       } else if (data.type === "list_assets") {
         // Send list of available assets
         const assetList = assetManager.listAssets();
@@ -167,16 +570,22 @@ wss.on("connection", (ws) => {
         );
       } else if (data.type === "bandwidth-metrics") {
         // Update client bandwidth metrics
-        handleBandwidthMetrics(clientId, data.metrics);
+        handleBandwidthMetrics(clientId, data.metrics, data.assetId, data.lod);
       } else if (data.type === "head-tracking") {
         // Update client head tracking for foveated streaming
         handleHeadTracking(clientId, data);
       } else if (data.type === "position-update") {
         // Handle position updates for multiuser
         handlePositionUpdate(clientId, data);
+      } else if (data.type === "join-room") {
+        // Move to another room
+        handleJoinRoom(clientId, ws, data.roomId);
+      } else if (data.type === "leave-room") {
+        // Leave the current room and return to the default room
+        handleLeaveRoom(clientId, ws);
       } else if (data.type === "get-room-objects") {
         // Get all objects in the room
-        handleGetRoomObjects(ws, data.roomId);
+        handleGetRoomObjects(clientId, ws, data.roomId);
       } else if (data.type === "create-object") {
         // Create a new shared object
         handleCreateObject(data.roomId, data.objectData);
@@ -201,13 +610,53 @@ wss.on("connection", (ws) => {
           data.position,
           data.rotation,
         );
+      } else if (data.type === "set_abr_strategy") {
+        // Pick the ABR strategy for this client's LOD decisions
+        handleSetAbrStrategy(clientId, ws, data.strategy || null);
+      } else if (data.type === "set_network_profile") {
+        // Emulate a network profile on this client's own connection
+        handleSetNetworkProfile(
+          clientId,
+          ws,
+          data.profile || null,
+          data.settings,
+        );
+      } else if (data.type === "qoe-report") {
+        // Store the client's quality-of-experience totals
+        handleQoeReport(clientId, data);
       } else if (data.type === "set-simulation-mode") {
         // Handle bandwidth simulation toggle
         handleSimulationModeToggle(clientId, ws, data.enabled);
       } else if (data.type === "request_nerf") {
         // Handle NeRF/Gaussian Splat streaming request
-        await handleNeRFRequest(clientId, ws, data.assetId, data.options);
-      } else if (data.type === "set_render_mode") {
+        await handleNeRFRequest(clientId, ws, data.assetId, data.options, {
+          priority: data.priority,
+          offset: data.offset,
+          sha256: data.sha256,
+          transport: data.transport,
+        });
+      } else if (data.type === "reprioritize_stream") {
+        // Move an in-flight stream ahead of (or behind) the client's others
+        handleReprioritizeStream(clientId, ws, data.streamId, data.priority);
+      } else if (data.type === "cancel_stream") {
+        // Stop an in-flight stream
+        handleCancelStream(clientId, ws, data.streamId);
+      } else if (data.type === "cancel_asset") {
+        // Stop in-flight transfers of an asset (e.g. a LOD that is now stale)
+        handleCancelTransfer(clientId, "asset", data.assetId, data.lod);
+      } else if (data.type === "cancel_nerf") {
+        // Stop an in-flight splat transfer
+        handleCancelTransfer(clientId, "nerf", data.assetId);
+      } else if (data.type === "open_data_channel") {
+        // Offer a WebRTC data channel for this client's chunks
+        handleOpenDataChannel(clientId, ws);
+      } else if (data.type === "transport_signal") {
+        // Answer / ICE candidates for the server's data channel offer
+        handleTransportSignal(clientId, ws, data.signal);
+      } else if (
+        data.type === "set_render_mode" ||
+        data.type === "render-mode-change"
+      ) {
         // Handle render mode change for NeRF visualization
         handleSetRenderMode(clientId, ws, data.mode);
       }
@@ -216,30 +665,27 @@ wss.on("connection", (ws) => {
       const duration = (Date.now() - startTime) / 1000;
       messageLatency.observe({ message_type: messageType }, duration);
     } catch (error) {
-      console.error("Error parsing message:", error);
+      console.error("Error handling message:", error);
 
       // Track errors (Golden Signal: Errors)
-      errorCounter.inc({ type: "message_parsing", operation: messageType });
+      errorCounter.inc({ type: "message_handling", operation: messageType });
     }
   });
 
   ws.on("close", () => {
-    const room = roomManager.removeUser(clientId);
+    // Ignore sockets superseded by a resumed connection
+    if (clients.get(clientId) !== ws) {
+      return;
+    }
+
     clients.delete(clientId);
-    adaptiveStreaming.removeClient(clientId);
-    foveatedStreaming.removeClient(clientId);
-    clientRenderModes.delete(clientId);
 
-    // Release all objects owned by this user
-    objectSync.releaseAllUserObjects(clientId);
+    // Streams cannot outlive their socket; a resumed client re-requests what it still needs
+    streamScheduler.removeClient(clientId, "disconnected");
+    dataChannelTransport.close(clientId);
 
     // Update metrics
     wsConnections.set(clients.size);
-    if (room) {
-      const roomUsersList = roomManager.getRoomUsers(room) || [];
-      roomUsers.set({ room: room }, roomUsersList.length);
-    }
-    bandwidthGauge.remove({ client_id: clientId });
 
     // Update saturation (Golden Signal: Saturation)
     connectionSaturation.set(clients.size / MAX_CONNECTIONS);
@@ -248,10 +694,10 @@ wss.on("connection", (ws) => {
       `Client ${clientId} disconnected. Total clients: ${clients.size}`,
     );
 
-    broadcastToOthers(clientId, {
-      type: "peer-disconnected",
-      peerId: clientId,
-    });
+    // Keep room membership and object ownership until the grace window ends,
+    // but hand the connection slot to the next queued connection now
+    sessionManager.suspend(clientId, () => cleanupClient(clientId));
+    processAdmissionQueue();
   });
 
   const userPosition = roomManager.getUserPosition(clientId);
@@ -260,23 +706,289 @@ wss.on("connection", (ws) => {
     JSON.stringify({
       type: "welcome",
       id: clientId,
+      room: roomInfo.room,
       peers: roomInfo.users,
       color: userPosition.color,
-      userPositions: roomManager.getAllUserPositions(),
+      userPositions: roomManager.getAllUserPositions(roomInfo.room),
+      resumeToken: newResumeToken,
+      role: claims.role,
+      resumed: resumed,
+      renderMode: clientRenderModes.get(clientId) || null,
     }),
   );
 
-  broadcastToOthers(clientId, {
-    type: "peer-connected",
-    peerId: clientId,
-    color: userPosition.color,
+  broadcastToRoomMembers(
+    roomInfo.room,
+    {
+      // Peers never saw a resumed client leave; they only need to reset WebRTC
+      type: resumed ? "peer-resumed" : "peer-connected",
+      peerId: clientId,
+      color: userPosition.color,
+    },
+    clientId,
+  );
+}
+
+/**
+ * Find the session a connection may resume
+ * The resume token must be live and belong to the same identity as the new connection
+ * @param {http.IncomingMessage} req - Upgrade request
+ * @returns {string|null} Client ID to resume, or null
+ */
+function getResumableClientId(req) {
+  const claims = req.auth || authManager.anonymousClaims;
+  const clientId = sessionManager.getClientId(getQueryParam(req, "resume"));
+
+  if (
+    clientId &&
+    roomManager.getUserRoom(clientId) &&
+    clientAuth.get(clientId).sub === claims.sub
+  ) {
+    return clientId;
+  }
+  return null;
+}
+
+/**
+ * Check whether a connection fits within the server and room limits
+ * Only connected clients count; suspended sessions do not hold a slot
+ * @param {string} room - Room the client wants to join
+ * @returns {boolean} True if the client can be admitted now
+ */
+function hasCapacity(room) {
+  return clients.size < MAX_CONNECTIONS && !isRoomFull(room);
+}
+
+/**
+ * Check whether a room has reached MAX_ROOM_USERS connected clients
+ * @param {string} room - Room identifier
+ * @returns {boolean} True if no one else can join
+ */
+function isRoomFull(room) {
+  const connected = roomManager
+    .getRoomUsers(room)
+    .filter((userId) => clients.has(userId));
+  return connected.length >= MAX_ROOM_USERS;
+}
+
+/**
+ * Park a connection that cannot be admitted yet, or turn it away if the queue is full
+ * Queued sockets get no client ID and their messages are ignored until admission
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {http.IncomingMessage} req - Upgrade request (replayed on admission)
+ * @param {string} room - Room the client asked for
+ */
+function queueClient(ws, req, room) {
+  const position = admissionQueue.enqueue(ws, req, room);
+
+  if (!position) {
+    console.warn(`Rejecting connection for room ${room}: admission queue full`);
+    errorCounter.inc({ type: "admission", operation: "rejected" });
+
+    ws.send(
+      JSON.stringify({
+        type: "connection_rejected",
+        reason: "Server is at capacity, try again later",
+      }),
+    );
+    ws.close(1013, "Server at capacity");
+    return;
+  }
+
+  console.log(`Queued connection for room ${room} at position ${position}`);
+
+  ws.on("close", () => {
+    if (admissionQueue.remove(ws)) {
+      notifyQueuePositions();
+    }
   });
-});
 
-async function handleAssetRequest(clientId, ws, assetId, requestedLod) {
+  notifyQueuePositions();
+}
+
+/**
+ * Admit queued connections that now fit, oldest first
+ * Called whenever a client disconnects or changes rooms, or a session ends
+ */
+function processAdmissionQueue() {
+  let entry;
+  while ((entry = admissionQueue.takeNext(hasCapacity))) {
+    if (entry.ws.readyState !== WebSocket.OPEN) continue;
+
+    console.log(
+      `Admitting queued connection for room ${entry.room} after ${Date.now() - entry.enqueuedAt}ms`,
+    );
+    admitClient(entry.ws, entry.req);
+  }
+
+  notifyQueuePositions();
+}
+
+/**
+ * Tell every queued connection its position and refresh the queue depth metric
+ */
+function notifyQueuePositions() {
+  const entries = admissionQueue.getEntries();
+
+  entries.forEach((entry, index) => {
+    if (entry.ws.readyState !== WebSocket.OPEN) return;
+
+    entry.ws.send(
+      JSON.stringify({
+        type: "queued",
+        position: index + 1,
+        queueLength: entries.length,
+        room: entry.room,
+        reason: clients.size >= MAX_CONNECTIONS ? "server_full" : "room_full",
+      }),
+    );
+  });
+
+  admissionQueueDepth.reset();
+  Object.entries(admissionQueue.getDepthByRoom()).forEach(([room, depth]) => {
+    admissionQueueDepth.set({ room: room }, depth);
+  });
+}
+
+if (HEARTBEAT_INTERVAL > 0) {
+  const heartbeatTimer = setInterval(checkHeartbeats, HEARTBEAT_INTERVAL);
+  wss.on("close", () => clearInterval(heartbeatTimer));
+}
+
+/**
+ * Ping every connected socket and reap the ones that missed the last ping
+ * Terminating emits "close", so reaped clients go through the normal disconnect path
+ */
+function checkHeartbeats() {
+  const check = (ws, label) => {
+    if (!ws.isAlive) {
+      console.warn(`${label} missed heartbeat, terminating connection`);
+      errorCounter.inc({ type: "heartbeat", operation: "terminate" });
+      ws.terminate();
+      return;
+    }
+
+    ws.isAlive = false;
+    ws.ping();
+  };
+
+  clients.forEach((ws, clientId) => check(ws, `Client ${clientId}`));
+  admissionQueue
+    .getEntries()
+    .forEach((entry) => check(entry.ws, `Queued connection (${entry.room})`));
+}
+
+/**
+ * Tear down all state for a client whose session has ended
+ * @param {string} clientId - Client identifier
+ */
+function cleanupClient(clientId) {
+  const room = roomManager.removeUser(clientId);
+  adaptiveStreaming.removeClient(clientId);
+  foveatedStreaming.removeClient(clientId);
+  clientRenderModes.delete(clientId);
+  sentLodRecommendations.delete(clientId);
+  networkShaper.removeClient(clientId);
+  qoeTracker.endSession(clientId);
+  clientAuth.delete(clientId);
+  clientCapabilities.remove(clientId);
+  rateLimiter.removeClient(clientId);
+
+  // Release all objects owned by this user
+  objectSync.releaseAllUserObjects(clientId);
+
+  // Update metrics
+  if (room) {
+    const roomUsersList = roomManager.getRoomUsers(room) || [];
+    roomUsers.set({ room: room }, roomUsersList.length);
+  }
+  bandwidthGauge.remove({ client_id: clientId });
+
+  console.log(`Client ${clientId} session ended`);
+
+  if (room) {
+    broadcastToRoomMembers(room, {
+      type: "peer-disconnected",
+      peerId: clientId,
+    });
+  }
+
+  // The session's slot is free for the next queued connection
+  processAdmissionQueue();
+}
+
+/**
+ * Authenticate a WebSocket upgrade before the connection is accepted
+ * Verified claims are attached to the request as req.auth
+ * @param {Object} info - Upgrade info from ws ({ origin, secure, req })
+ * @param {Function} callback - ws verifyClient callback
+ */
+function verifyWebSocketClient(info, callback) {
+  let claims;
   try {
-    const startTime = Date.now();
+    claims = authManager.authenticate(info.req);
+  } catch (error) {
+    console.warn(`Rejected WebSocket connection: ${error.message}`);
+    errorCounter.inc({ type: "auth", operation: "websocket_upgrade" });
+    return callback(false, 401, "Unauthorized");
+  }
+
+  const room = getRequestedRoom(info.req) || roomManager.defaultRoom;
+  if (!authManager.canAccessRoom(claims, room)) {
+    console.warn(`Rejected WebSocket connection to room ${room}`);
+    errorCounter.inc({ type: "auth", operation: "websocket_upgrade" });
+    return callback(false, 403, "Forbidden");
+  }
+
+  info.req.auth = claims;
+  callback(true);
+}
+
+/**
+ * Read a query parameter from the WebSocket upgrade request URL
+ * @param {http.IncomingMessage} req - WebSocket upgrade request
+ * @param {string} name - Parameter name
+ * @returns {string|null} Parameter value or null if absent
+ */
+function getQueryParam(req, name) {
+  if (!req || !req.url) return null;
+
+  return new URL(req.url, "http://localhost").searchParams.get(name);
+}
+
+/**
+ * Read the room requested via the ?room= query on the socket URL
+ * @param {http.IncomingMessage} req - WebSocket upgrade request
+ * @returns {string|null} Room ID or null if absent/invalid
+ */
+function getRequestedRoom(req) {
+  const room = getQueryParam(req, "room");
+  if (room && ROOM_ID_PATTERN.test(room)) {
+    return room;
+  }
+  return null;
+}
 
+/**
+ * Handle an asset request: pick a LOD, send metadata and queue the stream
+ * @param {string} clientId - Client identifier
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {string} assetId - Asset identifier
+ * @param {string} requestedLod - LOD to send (selected adaptively if omitted)
+ * @param {Object} transfer - { priority, offset, sha256, cachedHashes, progressive, transport };
+ *   priority defaults to the object's foveated priority, offset/sha256 resume a
+ *   partial download, cachedHashes lists LODs the client already holds, progressive
+ *   streams low first and refines up to the selected LOD, transport "http" leaves
+ *   the download to the client and "websocket" keeps it off the data channel
+ */
+async function handleAssetRequest(
+  clientId,
+  ws,
+  assetId,
+  requestedLod,
+  transfer = {},
+) {
+  try {
     // Determine LOD - use adaptive selection if not specified
     let lod = requestedLod || "high";
 
@@ -308,103 +1020,641 @@ async function handleAssetRequest(clientId, ws, assetId, requestedLod) {
         return;
       }
 
-      // Use foveated LOD if available, otherwise fall back to adaptive streaming
-      if (foveatedResult.lod) {
-        lod = foveatedResult.lod;
-        console.log(
-          `Client ${clientId} requested ${assetId}, foveated streaming selected ${lod} LOD`,
-        );
-      } else {
-        // Fall back to bandwidth-based adaptive streaming
-        const selectedAsset = adaptiveStreaming.selectLOD(clientId, assetId);
-        lod = selectedAsset.endsWith("-high") ? "high" : "low";
-        console.log(
-          `Client ${clientId} requested ${assetId}, adaptive streaming selected ${lod} LOD`,
-        );
+      // Bandwidth picks from the asset's LOD ladder; foveation can only lower
+      // that choice (peripheral objects stay low), and only once the client
+      // has sent view data
+      lod = adaptiveStreaming.selectLOD(
+        clientId,
+        assetManager.getAssetInfo(assetId),
+        getAbrContext(clientId),
+      );
+      if (foveatedStreaming.getClientView(clientId)) {
+        lod = getLowerLod(assetId, lod, foveatedResult.lod);
       }
+      console.log(
+        `Client ${clientId} requested ${assetId}, adaptive streaming selected ${lod} LOD (foveated: ${foveatedResult.lod})`,
+      );
     } else {
       console.log(
         `Client ${clientId} requested asset: ${assetId} (LOD: ${lod})`,
       );
     }
 
-    const assetBuffer = assetManager.getAsset(assetId, lod);
-
-    // Send asset metadata first
-    ws.send(
-      JSON.stringify({
-        type: "asset_metadata",
-        assetId: assetId,
-        lod: lod,
-        size: assetBuffer.length,
-        chunks: Math.ceil(assetBuffer.length / CHUNK_SIZE),
-      }),
-    );
+    // Clients without a Draco decoder can only take uncompressed LODs
+    if (!clientCapabilities.has(clientId, "draco")) {
+      const decodableLod = selectLodWithoutDraco(assetId, lod);
+      if (!decodableLod) {
+        throw new Error(
+          `Asset ${assetId} requires Draco decoding, which the client does not support`,
+        );
+      }
+      if (decodableLod !== lod) {
+        console.log(
+          `Client ${clientId} cannot decode Draco, serving ${decodableLod} instead of ${lod}`,
+        );
+        lod = decodableLod;
+      }
+    }
 
-    // Stream asset data in chunks
-    let offset = 0;
-    let chunkIndex = 0;
+    const priority =
+      typeof transfer.priority === "number"
+        ? transfer.priority
+        : foveatedResult.priority;
 
-    while (offset < assetBuffer.length) {
-      const chunkSize = Math.min(CHUNK_SIZE, assetBuffer.length - offset);
-      const chunk = assetBuffer.slice(offset, offset + chunkSize);
+    // Progressive mode streams every LOD from low up to the selected one
+    // (HTTP clients fetch the selected LOD directly)
+    const lods =
+      transfer.progressive && transfer.transport !== "http"
+        ? getProgressiveLods(clientId, assetId, lod)
+        : [lod];
 
-      // Send chunk header as JSON
-      ws.send(
-        JSON.stringify({
-          type: "asset_chunk",
-          assetId: assetId,
-          chunkIndex: chunkIndex,
-          totalChunks: Math.ceil(assetBuffer.length / CHUNK_SIZE),
-        }),
-      );
+    streamAssetLods(clientId, ws, assetId, lods, transfer, priority, false);
+  } catch (error) {
+    sendAssetError(ws, assetId, error);
+  }
+}
 
-      // Send binary chunk immediately after
-      ws.send(chunk);
+/**
+ * Get an asset's LOD levels from smallest to largest
+ * @param {string} assetId - Asset identifier
+ * @returns {Array<string>} LOD levels (empty for unknown assets)
+ */
+function getLodLevels(assetId) {
+  const assetInfo = assetManager.getAssetInfo(assetId);
+  if (!assetInfo) return [];
 
-      offset += chunkSize;
-      chunkIndex++;
-    }
+  return adaptiveStreaming.getLodLadder(assetInfo).map((rung) => rung.lod);
+}
 
-    // Send completion message
-    ws.send(
-      JSON.stringify({
-        type: "asset_complete",
-        assetId: assetId,
-      }),
-    );
+/**
+ * Get the smaller of two LODs of an asset
+ * @param {string} assetId - Asset identifier
+ * @param {string} lod - LOD level
+ * @param {string} cap - LOD level not to exceed (ignored if the asset lacks it)
+ * @returns {string} The lower of the two on the asset's ladder
+ */
+function getLowerLod(assetId, lod, cap) {
+  const levels = getLodLevels(assetId);
+  const capIndex = levels.indexOf(cap);
+  if (capIndex === -1 || levels.indexOf(lod) <= capIndex) {
+    return lod;
+  }
+  return cap;
+}
 
-    // Update bandwidth metrics based on transfer
-    const transferDuration = Date.now() - startTime;
-    adaptiveStreaming.updateMetrics(
-      clientId,
-      assetBuffer.length,
-      transferDuration,
+/**
+ * Get the content hash of one LOD of an asset
+ * @param {string} assetId - Asset identifier
+ * @param {string} lod - LOD level
+ * @returns {string} SHA-256 hex digest
+ */
+function getLodHash(assetId, lod) {
+  return assetManager.getContentHash(assetManager.getAsset(assetId, lod));
+}
+
+/**
+ * Get the LODs a progressive request steps through, lowest first
+ * Stops at the selected LOD and skips levels the client cannot decode or that
+ * are byte-identical to the next level
+ * @param {string} clientId - Client identifier
+ * @param {string} assetId - Asset identifier
+ * @param {string} targetLod - Highest LOD to send
+ * @returns {Array<string>} LODs in streaming order
+ */
+function getProgressiveLods(clientId, assetId, targetLod) {
+  const levels = getLodLevels(assetId);
+  const draco = clientCapabilities.has(clientId, "draco");
+
+  const lods = levels
+    .slice(0, levels.indexOf(targetLod) + 1)
+    .filter(
+      (level) =>
+        draco ||
+        !assetManager
+          .getRequiredExtensions(assetId, level)
+          .includes("KHR_draco_mesh_compression"),
+    )
+    // LODs with identical bytes sit next to each other on the ladder; only the
+    // highest of them is worth sending
+    .filter(
+      (level, index, kept) =>
+        index === kept.length - 1 ||
+        getLodHash(assetId, level) !== getLodHash(assetId, kept[index + 1]),
     );
 
-    // Track bytes transferred
-    assetBytesTransferred.inc({ asset: assetId }, assetBuffer.length);
+  return lods.length > 0 ? lods : [targetLod];
+}
+
+/**
+ * Stream the first of a list of LODs, then refine with the rest
+ * Each refinement starts once the previous LOD is delivered, and only while the
+ * measured bandwidth can deliver it within the adaptive upgrade budget
+ * @param {string} clientId - Client identifier
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {string} assetId - Asset identifier
+ * @param {Array<string>} lods - LODs to send, in order
+ * @param {Object} transfer - { offset, sha256, cachedHashes, transport } from the request
+ * @param {number} priority - Stream priority of the first LOD
+ * @param {boolean} isRefinement - Whether this is a follow-up LOD (sent one priority lower)
+ */
+function streamAssetLods(
+  clientId,
+  ws,
+  assetId,
+  lods,
+  transfer,
+  priority,
+  isRefinement,
+) {
+  const [lod, ...refinements] = lods;
+
+  try {
+    const assetBuffer = assetManager.getAsset(assetId, lod);
+    const totalChunks = Math.ceil(assetBuffer.length / CHUNK_SIZE);
+    const binaryFraming = clientCapabilities.has(clientId, "binaryFraming");
+    const streamId = allocateStreamId();
+    const sha256 = assetManager.getContentHash(assetBuffer);
+
+    // Decide whether a higher LOD follows once this one is delivered; an asset
+    // deleted mid-stream has nothing left to refine to
+    const shouldRefine = () => {
+      if (refinements.length === 0 || ws.readyState !== WebSocket.OPEN) {
+        return false;
+      }
+      const nextSize =
+        assetManager.getAssetInfo(assetId)?.sizes[refinements[0]];
+      return (
+        nextSize !== undefined &&
+        adaptiveStreaming.canDeliverUpgrade(clientId, nextSize)
+      );
+    };
+    // The resume offset and hash belong to the first LOD only
+    const refine = () =>
+      streamAssetLods(
+        clientId,
+        ws,
+        assetId,
+        refinements,
+        { ...transfer, offset: 0, sha256: undefined },
+        priority,
+        true,
+      );
+
+    // The client already holds these exact bytes
+    if (transfer.cachedHashes && transfer.cachedHashes.includes(sha256)) {
+      assetCacheHits.inc({ asset: assetId });
+      console.log(
+        `Client ${clientId} has ${assetId} (${lod}) cached, skipping transfer`,
+      );
+
+      const refining = shouldRefine();
+      const notModified = {
+        type: "asset_not_modified",
+        assetId: assetId,
+        lod: lod,
+        sha256: sha256,
+      };
+      if (refining) {
+        notModified.refining = true;
+      }
+      ws.send(JSON.stringify(notModified));
+
+      if (refining) {
+        refine();
+      }
+      return;
+    }
+
+    const offset = getResumeOffset(transfer, assetBuffer, sha256);
+
+    const metadata = {
+      type: "asset_metadata",
+      assetId: assetId,
+      lod: lod,
+      size: assetBuffer.length,
+      chunks: totalChunks,
+    };
+
+    // Fields added in protocol v2 are only sent to clients that understand them
+    if (clientCapabilities.getProtocolVersion(clientId) >= 2) {
+      metadata.availableLods = assetManager.getLods(assetId);
+      metadata.extensionsRequired = assetManager.getRequiredExtensions(
+        assetId,
+        lod,
+      );
+      metadata.sha256 = sha256;
+      metadata.httpUrl = getAssetHttpUrl(assetId, lod);
+    }
+    if (binaryFraming) {
+      metadata.streamId = streamId;
+    }
+    if (isRefinement) {
+      metadata.refinement = true;
+    }
+    if (offset > 0) {
+      metadata.offset = offset;
+      console.log(
+        `Resuming asset ${assetId} (${lod}) for client ${clientId} at byte ${offset}`,
+      );
+    }
+
+    // HTTP transport: the client downloads from httpUrl, nothing is streamed
+    if (transfer.transport === "http" && metadata.httpUrl) {
+      metadata.transport = "http";
+      ws.send(JSON.stringify(metadata));
+      console.log(
+        `Client ${clientId} fetches ${assetId} (${lod}) over HTTP: ${metadata.httpUrl}`,
+      );
+      return;
+    }
+
+    // Send asset metadata first
+    ws.send(JSON.stringify(metadata));
+
+    // Queue the chunks; the scheduler interleaves them with the client's other streams
+    const info = { kind: "asset", assetId: assetId, lod: lod };
+    streamScheduler.addStream(clientId, {
+      id: streamId,
+      buffer: assetBuffer,
+      chunkSize: CHUNK_SIZE,
+      offset: offset,
+      // Refinements yield to the first LODs of other streams
+      priority: isRefinement ? Math.max(0, priority - 1) : priority,
+      info: info,
+      sendChunk: (chunk, position) =>
+        sendStreamChunk(
+          clientId,
+          ws,
+          binaryFraming,
+          {
+            kind: BinaryFrame.KINDS.ASSET,
+            streamId: streamId,
+            chunkIndex: position.chunkIndex,
+            offset: position.offset,
+          },
+          {
+            type: "asset_chunk",
+            assetId: assetId,
+            chunkIndex: position.chunkIndex,
+            totalChunks: totalChunks,
+          },
+          chunk,
+          { allowDataChannel: transfer.transport !== "websocket" },
+        ),
+      onComplete: (stats) => {
+        const refining = shouldRefine();
+
+        // Send completion message
+        const complete = { type: "asset_complete", assetId: assetId };
+        if (binaryFraming) {
+          complete.streamId = streamId;
+        }
+        if (refining) {
+          complete.refining = true;
+        }
+        ws.send(JSON.stringify(complete));
+
+        // Track bytes transferred
+        assetBytesTransferred.inc({ asset: assetId }, stats.bytesSent);
+
+        console.log(
+          `Completed streaming asset ${assetId} (${lod}) to client ${clientId} in ${stats.duration}ms`,
+        );
+
+        if (refining) {
+          refine();
+        } else if (refinements.length > 0) {
+          console.log(
+            `Stopping progressive refinement of ${assetId} at ${lod} for client ${clientId}: bandwidth too low for ${refinements[0]}`,
+          );
+        }
+      },
+      onCancel: (stats, reason) =>
+        handleStreamCancelled(clientId, ws, streamId, info, stats, reason),
+    });
+  } catch (error) {
+    sendAssetError(ws, assetId, error);
+  }
+}
+
+/**
+ * Get the HTTP path an asset LOD can be downloaded (and cached) from
+ * @param {string} assetId - Asset identifier
+ * @param {string} lod - Level of detail
+ * @returns {string} Path relative to the server origin
+ */
+function getAssetHttpUrl(assetId, lod) {
+  return `/api/assets/${encodeURIComponent(assetId)}/lods/${encodeURIComponent(lod)}`;
+}
+
+/**
+ * Report a failed asset request to the client
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {string} assetId - Asset identifier
+ * @param {Error} error - What went wrong
+ */
+function sendAssetError(ws, assetId, error) {
+  console.error(`Error streaming asset ${assetId}:`, error);
+
+  // Track errors (Golden Signal: Errors)
+  errorCounter.inc({ type: "asset_streaming", operation: assetId });
+
+  ws.send(
+    JSON.stringify({
+      type: "asset_error",
+      assetId: assetId,
+      error: error.message,
+    }),
+  );
+}
+
+/**
+ * Allocate an id for a new asset or splat stream (wraps within uint32)
+ * @returns {number} Stream id
+ */
+function allocateStreamId() {
+  const streamId = nextStreamId;
+  nextStreamId = nextStreamId >= 0xffffffff ? 1 : nextStreamId + 1;
+  return streamId;
+}
+
+/**
+ * Send one chunk of a stream in the framing the client negotiated
+ * Binary-framing clients get a single self-describing frame, over their data
+ * channel when one is open; older clients get a JSON header followed by the raw
+ * bytes, paired by arrival order
+ * @param {string} clientId - Client identifier
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {boolean} binaryFraming - Whether the client negotiated binary frames
+ * @param {Object} frameHeader - { kind, streamId, chunkIndex, offset }
+ * @param {Object} legacyHeader - JSON header for clients without binary framing
+ * @param {Buffer} chunk - Chunk bytes
+ * @param {Object} options - { compress, allowDataChannel }: compress applies
+ *   permessage-deflate on the WebSocket (off for data that is already compressed);
+ *   allowDataChannel is false for streams the client asked to keep on the WebSocket
+ */
+function sendStreamChunk(
+  clientId,
+  ws,
+  binaryFraming,
+  frameHeader,
+  legacyHeader,
+  chunk,
+  options = {},
+) {
+  if (binaryFraming) {
+    const frame = BinaryFrame.encode(frameHeader, chunk);
+    if (
+      options.allowDataChannel !== false &&
+      dataChannelTransport.send(clientId, frame)
+    ) {
+      streamChunks.inc({ transport: "datachannel" });
+      return;
+    }
+
+    ws.send(frame, { compress: options.compress === true });
+    streamChunks.inc({ transport: "websocket" });
+    return;
+  }
+
+  ws.send(JSON.stringify(legacyHeader));
+  ws.send(chunk, { compress: options.compress === true });
+  streamChunks.inc({ transport: "websocket" });
+}
+
+/**
+ * Pick the byte a requested stream should start from
+ * A resume offset is ignored (the stream restarts from zero) when the client's
+ * hash shows its partial copy is of different content, e.g. after a re-upload
+ * @param {Object} transfer - Requested { offset, sha256 }
+ * @param {Buffer} buffer - Data to be streamed
+ * @param {string} sha256 - Hash of the data to be streamed
+ * @returns {number} Start offset
+ */
+function getResumeOffset(transfer, buffer, sha256) {
+  if (!transfer.offset || transfer.offset >= buffer.length) {
+    return 0;
+  }
+  if (transfer.sha256 && transfer.sha256 !== sha256) {
+    return 0;
+  }
+  return transfer.offset;
+}
+
+/**
+ * Record a stream that stopped before completing and tell the client
+ * @param {string} clientId - Client identifier
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {number} streamId - Stream id
+ * @param {Object} info - Stream info ({ kind: 'asset' | 'nerf', assetId, lod })
+ * @param {Object} stats - { bytesSent, chunksSent, totalBytes, duration }
+ * @param {string} reason - 'client', 'disconnected' or 'error'
+ */
+function handleStreamCancelled(clientId, ws, streamId, info, stats, reason) {
+  assetBytesTransferred.inc({ asset: info.assetId }, stats.bytesSent);
+
+  console.log(
+    `Cancelled ${info.kind} stream ${streamId} (${info.assetId}) to client ${clientId} after ${stats.bytesSent}/${stats.totalBytes} bytes: ${reason}`,
+  );
+
+  if (ws.readyState !== WebSocket.OPEN) {
+    return;
+  }
+
+  ws.send(
+    JSON.stringify({
+      type: "stream_cancelled",
+      streamId: streamId,
+      kind: info.kind,
+      assetId: info.assetId,
+      lod: info.lod,
+      bytesSent: stats.bytesSent,
+      totalBytes: stats.totalBytes,
+      reason: reason,
+    }),
+  );
+}
+
+/**
+ * Change the priority of one of a client's in-flight streams
+ * @param {string} clientId - Client identifier
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {number} streamId - Stream id
+ * @param {number} priority - New priority (higher streams first)
+ */
+function handleReprioritizeStream(clientId, ws, streamId, priority) {
+  if (!streamScheduler.reprioritize(clientId, streamId, priority)) {
+    sendUnknownStreamError(ws, streamId, "reprioritize_stream");
+    return;
+  }
+
+  console.log(
+    `Client ${clientId} set stream ${streamId} priority to ${priority}`,
+  );
+}
+
+/**
+ * Cancel one of a client's in-flight streams
+ * @param {string} clientId - Client identifier
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {number} streamId - Stream id
+ */
+function handleCancelStream(clientId, ws, streamId) {
+  if (!streamScheduler.cancel(clientId, streamId, "client")) {
+    sendUnknownStreamError(ws, streamId, "cancel_stream");
+  }
+}
 
+/**
+ * Cancel a client's in-flight transfers of an asset or its splat data
+ * Each cancelled stream is reported with stream_cancelled (bytes delivered);
+ * cancelling when nothing matches is a no-op, since the transfer may just have finished
+ * @param {string} clientId - Client identifier
+ * @param {string} kind - 'asset' or 'nerf'
+ * @param {string} assetId - Asset identifier
+ * @param {string} lod - Only cancel this LOD (assets only; all LODs if omitted)
+ */
+function handleCancelTransfer(clientId, kind, assetId, lod) {
+  const cancelled = streamScheduler
+    .getStreams(clientId)
+    .filter(
+      (stream) =>
+        stream.info.kind === kind &&
+        stream.info.assetId === assetId &&
+        (!lod || stream.info.lod === lod),
+    )
+    .filter((stream) => streamScheduler.cancel(clientId, stream.id, "client"));
+
+  if (cancelled.length === 0) {
     console.log(
-      `Completed streaming asset ${assetId} (${lod}) to client ${clientId} in ${transferDuration}ms`,
+      `Client ${clientId} cancelled ${kind} ${assetId}, but no transfer was in progress`,
     );
-  } catch (error) {
-    console.error(`Error streaming asset ${assetId}:`, error);
+  }
+}
+
+/**
+ * Start negotiating a data channel so the client's chunks can bypass the WebSocket
+ * Only clients with binary framing can take chunks without a JSON header message
+ * @param {string} clientId - Client identifier
+ * @param {WebSocket} ws - WebSocket connection
+ */
+function handleOpenDataChannel(clientId, ws) {
+  if (!clientCapabilities.has(clientId, "binaryFraming")) {
+    ws.send(
+      JSON.stringify({
+        type: "error",
+        message: "Data channel transport requires binary framing",
+        operation: "open_data_channel",
+      }),
+    );
+    return;
+  }
 
-    // Track errors (Golden Signal: Errors)
-    errorCounter.inc({ type: "asset_streaming", operation: assetId });
+  console.log(`Client ${clientId} requested a data channel`);
+  dataChannelTransport.open(clientId);
+}
 
+/**
+ * Apply a client's signal to its data channel negotiation
+ * @param {string} clientId - Client identifier
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} signal - simple-peer signal data
+ */
+function handleTransportSignal(clientId, ws, signal) {
+  try {
+    dataChannelTransport.handleSignal(clientId, signal);
+  } catch (error) {
     ws.send(
       JSON.stringify({
-        type: "asset_error",
-        assetId: assetId,
-        error: error.message,
+        type: "error",
+        message: error.message,
+        operation: "transport_signal",
       }),
     );
   }
 }
 
-function handleBandwidthMetrics(clientId, metrics) {
+function sendUnknownStreamError(ws, streamId, operation) {
+  ws.send(
+    JSON.stringify({
+      type: "error",
+      message: `Unknown or finished stream: ${streamId}`,
+      streamId: streamId,
+      operation: operation,
+    }),
+  );
+}
+
+/**
+ * Pick the LOD closest to the requested one that does not need a Draco decoder
+ * @param {string} assetId - Asset identifier
+ * @param {string} lod - Requested LOD level
+ * @returns {string|null} Decodable LOD, or null if every LOD uses Draco
+ */
+function selectLodWithoutDraco(assetId, lod) {
+  const levels = getLodLevels(assetId);
+  const requestedIndex = levels.indexOf(lod);
+
+  const candidates = levels
+    .filter(
+      (level) =>
+        !assetManager
+          .getRequiredExtensions(assetId, level)
+          .includes("KHR_draco_mesh_compression"),
+    )
+    .sort(
+      (a, b) =>
+        Math.abs(levels.indexOf(a) - requestedIndex) -
+        Math.abs(levels.indexOf(b) - requestedIndex),
+    );
+
+  return candidates[0] || null;
+}
+
+/**
+ * Handle the hello handshake: record the client's protocol version and capabilities
+ * @param {string} clientId - Client identifier
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} data - Hello message ({ protocolVersion, capabilities })
+ */
+function handleHello(clientId, ws, data) {
+  if (!clientCapabilities.isSupportedVersion(data.protocolVersion)) {
+    sendProtocolError(clientId, ws, "hello", {
+      code: MessageValidator.ERROR_CODES.UNSUPPORTED_VERSION,
+      field: "protocolVersion",
+      message: `Unsupported protocol version: ${data.protocolVersion}`,
+    });
+    return;
+  }
+
+  const negotiated = clientCapabilities.negotiate(
+    clientId,
+    data.protocolVersion,
+    data.capabilities,
+  );
+
+  ws.send(
+    JSON.stringify({
+      type: "hello_ack",
+      protocolVersion: negotiated.protocolVersion,
+      serverProtocolVersion: ClientCapabilities.PROTOCOL_VERSION,
+      capabilities: negotiated.capabilities,
+    }),
+  );
+}
+
+// Last lod-recommendation sent per client; unchanged recommendations are not resent
+const sentLodRecommendations = new Map();
+
+/**
+ * Record client-reported bandwidth and reply with a LOD recommendation when it changes
+ * @param {string} clientId - Client identifier
+ * @param {Object} metrics - { bandwidth, bytesReceived, timestamp }
+ * @param {string} assetId - Asset the client is viewing; its LOD sizes drive the
+ *   recommendation (fixed thresholds without it)
+ * @param {string} currentLod - LOD the client is showing; switches away from it are damped
+ */
+function handleBandwidthMetrics(clientId, metrics, assetId, currentLod) {
   console.log(`Received bandwidth metrics from client ${clientId}:`, metrics);
 
   // Update bandwidth gauge
@@ -413,11 +1663,22 @@ function handleBandwidthMetrics(clientId, metrics) {
   }
 
   // Get recommended LOD based on client-reported metrics
-  const recommendedLOD = adaptiveStreaming.getRecommendedLOD(clientId, metrics);
+  const recommendedLOD = adaptiveStreaming.getRecommendedLOD(
+    clientId,
+    metrics,
+    assetId ? assetManager.getAssetInfo(assetId) : null,
+    { ...getAbrContext(clientId), currentLod: currentLod },
+  );
+
+  // Every recommendation the client receives may trigger a re-download
+  if (sentLodRecommendations.get(clientId) === recommendedLOD) {
+    return;
+  }
 
   // Send recommendation back to client
   const ws = clients.get(clientId);
   if (ws && ws.readyState === WebSocket.OPEN) {
+    sentLodRecommendations.set(clientId, recommendedLOD);
     ws.send(
       JSON.stringify({
         type: "lod-recommendation",
@@ -427,6 +1688,107 @@ function handleBandwidthMetrics(clientId, metrics) {
   }
 }
 
+/**
+ * Get what the client's ABR strategy needs beyond bandwidth
+ * @param {string} clientId - Client identifier
+ * @returns {Object} { room, queuedBytes }
+ */
+function getAbrContext(clientId) {
+  return {
+    room: roomManager.getUserRoom(clientId),
+    queuedBytes: streamScheduler.getQueuedBytes(clientId),
+  };
+}
+
+/**
+ * Set (or clear) a client's own ABR strategy and confirm the one now in effect
+ * @param {string} clientId - Client identifier
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {string|null} strategy - Strategy name, or null to follow the room
+ */
+function handleSetAbrStrategy(clientId, ws, strategy) {
+  try {
+    adaptiveStreaming.setClientStrategy(clientId, strategy);
+  } catch (error) {
+    ws.send(
+      JSON.stringify({
+        type: "error",
+        message: error.message,
+        operation: "set_abr_strategy",
+      }),
+    );
+    return;
+  }
+
+  const active = adaptiveStreaming.getStrategy(
+    clientId,
+    roomManager.getUserRoom(clientId),
+  );
+  console.log(`Client ${clientId} ABR strategy: ${active}`);
+
+  ws.send(
+    JSON.stringify({
+      type: "abr_strategy",
+      strategy: active,
+      strategies: adaptiveStreaming.getStrategyNames(),
+    }),
+  );
+}
+
+/**
+ * Shape (or stop shaping) a client's connection and tell it what is in effect
+ * @param {string} clientId - Client identifier
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {string|null} profile - Network profile name, or null to stop shaping
+ * @param {Object} settings - Overrides for the profile's settings
+ */
+function handleSetNetworkProfile(clientId, ws, profile, settings) {
+  try {
+    networkShaper.setProfile(clientId, profile, settings);
+  } catch (error) {
+    ws.send(
+      JSON.stringify({
+        type: "error",
+        message: error.message,
+        operation: "set_network_profile",
+      }),
+    );
+    return;
+  }
+
+  sendNetworkProfile(clientId);
+}
+
+/**
+ * Tell a client which network profile its connection is shaped with
+ * @param {string} clientId - Client identifier
+ */
+function sendNetworkProfile(clientId) {
+  const shaping = networkShaper.getProfile(clientId);
+
+  sendToClient(clientId, {
+    type: "network_profile",
+    profile: shaping ? shaping.profile : null,
+    settings: shaping ? shaping.settings : null,
+  });
+}
+
+/**
+ * Store a client's QoE report along with the server-side state it was made under
+ * @param {string} clientId - Client identifier
+ * @param {Object} report - qoe-report message
+ */
+function handleQoeReport(clientId, report) {
+  const room = roomManager.getUserRoom(clientId);
+  const shaping = networkShaper.getProfile(clientId);
+
+  qoeTracker.recordReport(clientId, report, {
+    room: room,
+    abrStrategy: adaptiveStreaming.getStrategy(clientId, room),
+    networkProfile: shaping ? shaping.profile : null,
+  });
+}
+
 function handleSimulationModeToggle(clientId, ws, enabled) {
   console.log(`Client ${clientId} set simulation mode to: ${enabled}`);
 
@@ -436,7 +1798,12 @@ function handleSimulationModeToggle(clientId, ws, enabled) {
   // Send confirmation and LOD recommendation back to client
   const recommendedLOD = enabled
     ? "low"
-    : adaptiveStreaming.getRecommendedLOD(clientId, {});
+    : adaptiveStreaming.getRecommendedLOD(
+        clientId,
+        {},
+        null,
+        getAbrContext(clientId),
+      );
 
   ws.send(
     JSON.stringify({
@@ -448,6 +1815,7 @@ function handleSimulationModeToggle(clientId, ws, enabled) {
 
   // If simulation is disabled, send an updated LOD recommendation
   if (!enabled) {
+    sentLodRecommendations.set(clientId, recommendedLOD);
     ws.send(
       JSON.stringify({
         type: "lod-recommendation",
@@ -470,10 +1838,17 @@ const clientRenderModes = new Map();
  * @param {WebSocket} ws - WebSocket connection
  * @param {string} assetId - NeRF asset identifier
  * @param {Object} options - Optional streaming options (quality, region, etc.)
+ * @param {Object} transfer - { priority, offset, sha256, transport }; priority
+ *   defaults to peripheral priority, offset/sha256 resume a partial download,
+ *   transport "websocket" keeps the chunks off the data channel
  */
-async function handleNeRFRequest(clientId, ws, assetId, options = {}) {
-  const startTime = Date.now();
-
+async function handleNeRFRequest(
+  clientId,
+  ws,
+  assetId,
+  options = {},
+  transfer = {},
+) {
   try {
     console.log(`Client ${clientId} requested NeRF asset: ${assetId}`);
 
@@ -482,14 +1857,15 @@ async function handleNeRFRequest(clientId, ws, assetId, options = {}) {
 
     // Get NeRF/splat data from asset manager
     // For now, we'll look for .ply or .splat files in the asset directory
-    const splatData = await getNeRFSplatData(assetId, options);
+    const splatFormats = clientCapabilities.getSplatFormats(clientId);
+    const splatData = await getNeRFSplatData(assetId, options, splatFormats);
 
     if (!splatData) {
       ws.send(
         JSON.stringify({
           type: "nerf_error",
           assetId: assetId,
-          error: `NeRF asset not found: ${assetId}`,
+          error: `NeRF asset not found in a supported format (${splatFormats.join(", ") || "none"}): ${assetId}`,
         }),
       );
       errorCounter.inc({ type: "nerf_streaming", operation: assetId });
@@ -498,84 +1874,115 @@ async function handleNeRFRequest(clientId, ws, assetId, options = {}) {
 
     // Calculate chunk information
     const totalChunks = Math.ceil(splatData.buffer.length / NERF_CHUNK_SIZE);
-
-    // Send metadata first
-    ws.send(
-      JSON.stringify({
-        type: "nerf_metadata",
-        assetId: assetId,
-        format: splatData.format, // 'ply', 'splat', or 'gaussian'
-        size: splatData.buffer.length,
-        chunks: totalChunks,
-        splatCount: splatData.splatCount || null,
-        boundingBox: splatData.boundingBox || null,
-        quality: options.quality || "high",
-      }),
+    const binaryFraming = clientCapabilities.has(clientId, "binaryFraming");
+    const streamId = allocateStreamId();
+    const sha256 = assetManager.getContentHash(splatData.buffer);
+    const offset = getResumeOffset(transfer, splatData.buffer, sha256);
+
+    // Compress each chunk with the client's preferred coding; uncompressed
+    // chunks fall back to permessage-deflate when the socket negotiated it
+    const encoding = ChunkEncoding.select(
+      clientCapabilities.getSplatEncodings(clientId),
     );
-
-    // Stream splat data in 16KB chunks
-    let offset = 0;
-    let chunkIndex = 0;
-
-    while (offset < splatData.buffer.length) {
-      // Check if client is still connected
-      if (ws.readyState !== WebSocket.OPEN) {
-        console.log(`Client ${clientId} disconnected during NeRF streaming`);
-        return;
-      }
-
-      const chunkSize = Math.min(
-        NERF_CHUNK_SIZE,
-        splatData.buffer.length - offset,
-      );
-      const chunk = splatData.buffer.slice(offset, offset + chunkSize);
-
-      // Send chunk header as JSON
-      ws.send(
-        JSON.stringify({
-          type: "nerf_chunk",
-          assetId: assetId,
-          chunkIndex: chunkIndex,
-          totalChunks: totalChunks,
-          offset: offset,
-          size: chunkSize,
-        }),
+    const transportDeflate =
+      encoding === "identity" && ws.extensions.includes("permessage-deflate");
+
+    const metadata = {
+      type: "nerf_metadata",
+      assetId: assetId,
+      format: splatData.format, // 'ply', 'splat', or 'gaussian'
+      size: splatData.buffer.length,
+      chunks: totalChunks,
+      splatCount: splatData.splatCount || null,
+      boundingBox: splatData.boundingBox || null,
+      quality: options.quality || "high",
+      sha256: sha256,
+      encoding: encoding,
+    };
+    if (transportDeflate) {
+      metadata.transportCompression = "permessage-deflate";
+    }
+    if (binaryFraming) {
+      metadata.streamId = streamId;
+    }
+    if (offset > 0) {
+      metadata.offset = offset;
+      console.log(
+        `Resuming NeRF ${assetId} for client ${clientId} at byte ${offset}`,
       );
-
-      // Send binary chunk immediately after
-      ws.send(chunk);
-
-      offset += chunkSize;
-      chunkIndex++;
-
-      // Optional: Add small delay between chunks to prevent overwhelming slow clients
-      if (options.throttle && chunkIndex % 10 === 0) {
-        await new Promise((resolve) => setTimeout(resolve, 1));
-      }
     }
 
-    // Send completion message
-    ws.send(
-      JSON.stringify({
-        type: "nerf_complete",
-        assetId: assetId,
-        totalSize: splatData.buffer.length,
-        chunksTransferred: chunkIndex,
-      }),
-    );
+    // Send metadata first (format is one the client declared it can decode)
+    ws.send(JSON.stringify(metadata));
+
+    // Queue the splat data in 16KB chunks alongside the client's other streams
+    const info = { kind: "nerf", assetId: assetId };
+    streamScheduler.addStream(clientId, {
+      id: streamId,
+      buffer: splatData.buffer,
+      chunkSize: NERF_CHUNK_SIZE,
+      offset: offset,
+      priority:
+        typeof transfer.priority === "number"
+          ? transfer.priority
+          : foveatedStreaming.LOD_PRIORITY.low,
+      info: info,
+      sendChunk: (chunk, position) => {
+        const payload = ChunkEncoding.encode(chunk, encoding);
+
+        sendStreamChunk(
+          clientId,
+          ws,
+          binaryFraming,
+          {
+            kind: BinaryFrame.KINDS.SPLAT,
+            streamId: streamId,
+            chunkIndex: position.chunkIndex,
+            offset: position.offset,
+          },
+          {
+            type: "nerf_chunk",
+            assetId: assetId,
+            chunkIndex: position.chunkIndex,
+            totalChunks: totalChunks,
+            offset: position.offset,
+            size: payload.length,
+            rawSize: chunk.length,
+          },
+          payload,
+          {
+            compress: transportDeflate,
+            allowDataChannel: transfer.transport !== "websocket",
+          },
+        );
 
-    // Track transfer metrics
-    const transferDuration = Date.now() - startTime;
-    adaptiveStreaming.updateMetrics(
-      clientId,
-      splatData.buffer.length,
-      transferDuration,
-    );
-    assetBytesTransferred.inc({ asset: assetId }, splatData.buffer.length);
+        splatRawBytes.inc({ encoding: encoding }, chunk.length);
+        splatWireBytes.inc({ encoding: encoding }, payload.length);
+        return payload.length;
+      },
+      onComplete: (stats) => {
+        // Send completion message
+        const complete = {
+          type: "nerf_complete",
+          assetId: assetId,
+          totalSize: splatData.buffer.length,
+          chunksTransferred: stats.chunksSent,
+        };
+        if (binaryFraming) {
+          complete.streamId = streamId;
+        }
+        ws.send(JSON.stringify(complete));
 
-    console.log(
-      `Completed NeRF streaming ${assetId} to client ${clientId} in ${transferDuration}ms (${splatData.buffer.length} bytes, ${chunkIndex} chunks)`,
-    );
+        // Track transfer metrics
+        assetBytesTransferred.inc({ asset: assetId }, stats.bytesSent);
+
+        console.log(
+          `Completed NeRF streaming ${assetId} to client ${clientId} in ${stats.duration}ms (${stats.bytesSent} bytes, ${stats.wireBytes} on the wire as ${encoding}, ${stats.chunksSent} chunks)`,
+        );
+      },
+      onCancel: (stats, reason) =>
+        handleStreamCancelled(clientId, ws, streamId, info, stats, reason),
+    });
   } catch (error) {
     console.error(`Error streaming NeRF asset ${assetId}:`, error);
 
@@ -596,9 +2003,14 @@ async function handleNeRFRequest(clientId, ws, assetId, options = {}) {
  * Get NeRF/Gaussian Splat data from asset storage
  * @param {string} assetId - Asset identifier
  * @param {Object} options - Quality and format options
+ * @param {Array<string>} formats - Splat formats the client can decode, most preferred first
  * @returns {Object|null} Splat data with buffer and metadata
  */
-async function getNeRFSplatData(assetId, options = {}) {
+async function getNeRFSplatData(
+  assetId,
+  options = {},
+  formats = ["splat", "ply", "gaussian"],
+) {
   const fs = require("fs");
   const modelsDir = path.join(__dirname, "public/models");
   const assetDir = path.join(modelsDir, assetId);
@@ -608,8 +2020,8 @@ async function getNeRFSplatData(assetId, options = {}) {
     return null;
   }
 
-  // Look for splat files in order of preference
-  const splatExtensions = [".splat", ".ply", ".gaussian"];
+  // Look for splat files in the client's order of preference
+  const splatExtensions = formats.map((format) => `.${format}`);
   const qualityLevels =
     options.quality === "low"
       ? ["low", "medium", "high"]
@@ -661,6 +2073,11 @@ async function getNeRFSplatData(assetId, options = {}) {
   }
 
   if (!splatFile) {
+    // Mock data is in .splat format; nothing to offer clients that cannot decode it
+    if (!formats.includes("splat")) {
+      return null;
+    }
+
     // No splat file found - generate mock data for testing
     // In production, this would return null
     console.log(
@@ -756,6 +2173,7 @@ function generateMockSplatData(assetId) {
   return {
     buffer: mockBuffer,
     format: "splat",
+    generated: true, // Random on every call, so never served over HTTP
     splatCount: mockSplatCount,
     boundingBox: {
       min: [-2, -2, -4],
@@ -830,52 +2248,293 @@ function handleHeadTracking(clientId, data) {
   });
 }
 
-function handlePositionUpdate(clientId, data) {
-  // Update user position in room manager
-  roomManager.updateUserPosition(clientId, {
-    position: data.position,
-    rotation: data.rotation,
-    quaternion: data.quaternion,
-  });
+function handlePositionUpdate(clientId, data) {
+  // Update user position in room manager
+  roomManager.updateUserPosition(clientId, {
+    position: data.position,
+    rotation: data.rotation,
+    quaternion: data.quaternion,
+  });
+
+  // Broadcast to other users in the same room
+  broadcastToRoom(clientId, {
+    type: "user-position",
+    userId: clientId,
+    position: data.position,
+    rotation: data.rotation,
+    quaternion: data.quaternion,
+  });
+}
+
+function sendToClient(clientId, message) {
+  const client = clients.get(clientId);
+  if (client && client.readyState === WebSocket.OPEN) {
+    client.send(JSON.stringify(message));
+  }
+}
+
+function broadcastToRoom(excludeId, message) {
+  const usersInRoom = roomManager.getUsersInSameRoom(excludeId);
+  const messageStr = JSON.stringify(message);
+
+  usersInRoom.forEach((userId) => {
+    const client = clients.get(userId);
+    if (client && client.readyState === WebSocket.OPEN) {
+      client.send(messageStr);
+    }
+  });
+}
+
+function broadcastToRoomMembers(room, message, excludeId = null) {
+  const messageStr = JSON.stringify(message);
+
+  roomManager.getRoomUsers(room).forEach((userId) => {
+    if (userId === excludeId) return;
+    const client = clients.get(userId);
+    if (client && client.readyState === WebSocket.OPEN) {
+      client.send(messageStr);
+    }
+  });
+}
+
+function generateId() {
+  return Math.random().toString(36).substring(2, 15);
+}
+
+// Room Membership Handlers
+
+/**
+ * Move a client into another room
+ * Releases objects held in the old room, notifies both rooms and sends the
+ * new room's users and objects back to the client
+ * @param {string} clientId - Client identifier
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {string} roomId - Room to join
+ */
+function handleJoinRoom(clientId, ws, roomId) {
+  if (typeof roomId !== "string" || !ROOM_ID_PATTERN.test(roomId)) {
+    ws.send(
+      JSON.stringify({
+        type: "error",
+        message: `Invalid room ID: ${roomId}`,
+      }),
+    );
+    return;
+  }
+
+  if (!authManager.canAccessRoom(clientAuth.get(clientId), roomId)) {
+    rejectForbidden(clientId, ws, "join-room", `no access to room ${roomId}`);
+    return;
+  }
+
+  const previousRoom = roomManager.getUserRoom(clientId);
+
+  if (previousRoom !== roomId && isRoomFull(roomId)) {
+    ws.send(
+      JSON.stringify({
+        type: "error",
+        message: `Room ${roomId} is full`,
+        roomId: roomId,
+        operation: "join-room",
+      }),
+    );
+    return;
+  }
+
+  if (previousRoom && previousRoom !== roomId) {
+    // Objects can only be held in the room the user is present in; tell the
+    // users left behind that they can grab them
+    objectSync
+      .releaseUserObjectsInRoom(clientId, previousRoom)
+      .forEach((objectId) =>
+        broadcastToRoomMembers(
+          previousRoom,
+          {
+            type: "object-released",
+            objectId: objectId,
+            userId: clientId,
+          },
+          clientId,
+        ),
+      );
+  }
+
+  const roomInfo = roomManager.moveUser(clientId, roomId);
+  if (!roomInfo) {
+    return;
+  }
+  qoeTracker.setRoom(clientId, roomId);
+
+  const userPosition = roomManager.getUserPosition(clientId);
+
+  if (previousRoom && previousRoom !== roomId) {
+    broadcastToRoomMembers(previousRoom, {
+      type: "peer-disconnected",
+      peerId: clientId,
+    });
+
+    broadcastToRoomMembers(
+      roomId,
+      {
+        type: "peer-connected",
+        peerId: clientId,
+        color: userPosition.color,
+      },
+      clientId,
+    );
+
+    roomUsers.set(
+      { room: previousRoom },
+      roomManager.getRoomUsers(previousRoom).length,
+    );
+
+    // A slot opened up in the previous room
+    processAdmissionQueue();
+  }
+
+  const objects = objectSync.getRoomObjects(roomId);
+
+  // Update metrics for the new room
+  roomUsers.set({ room: roomId }, roomManager.getRoomUsers(roomId).length);
+  objectCount.set({ room: roomId }, objects.length);
+
+  ws.send(
+    JSON.stringify({
+      type: "room-joined",
+      roomId: roomId,
+      previousRoom: previousRoom,
+      peers: roomInfo.users,
+      userPositions: roomManager.getAllUserPositions(roomId),
+      objects: objects,
+    }),
+  );
+
+  console.log(
+    `Client ${clientId} joined room ${roomId} (from ${previousRoom})`,
+  );
+}
+
+/**
+ * Leave the current room and return to the default room
+ * @param {string} clientId - Client identifier
+ * @param {WebSocket} ws - WebSocket connection
+ */
+function handleLeaveRoom(clientId, ws) {
+  handleJoinRoom(clientId, ws, roomManager.defaultRoom);
+}
+
+// Object Synchronization Handlers
+
+/**
+ * Drop a throttled message, tell the client once per episode, and disconnect
+ * clients that keep flooding
+ * @param {string} clientId - Client identifier
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {string} messageType - Type of the dropped message
+ * @param {Object} rateLimit - Result from rateLimiter.consume()
+ */
+function handleRateLimited(clientId, ws, messageType, rateLimit) {
+  rateLimitedMessages.inc({ message_type: messageType });
+
+  // Messages already queued behind a disconnect are just dropped
+  if (ws.readyState !== WebSocket.OPEN) {
+    return;
+  }
+
+  if (rateLimit.abusive) {
+    console.warn(`Disconnecting client ${clientId} for flooding`);
+    rateLimitDisconnects.inc();
+
+    // Abusive clients may not resume their session
+    sessionManager.remove(clientId);
+    ws.close(1008, "Rate limit exceeded");
+    return;
+  }
+
+  if (rateLimit.notify) {
+    console.warn(`Client ${clientId} rate limited on ${messageType}`);
+    ws.send(
+      JSON.stringify({
+        type: "rate_limited",
+        messageType: messageType,
+        retryAfter: rateLimit.retryAfter,
+      }),
+    );
+  }
+}
+
+/**
+ * Reply to a message that failed schema validation
+ * @param {string} clientId - Client identifier
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {string} messageType - Type of the rejected message ("unknown" if
+ *   unreadable or not a known type)
+ * @param {Object} error - Validation error ({ code, field, message })
+ */
+function sendProtocolError(clientId, ws, messageType, error) {
+  console.warn(
+    `Client ${clientId} sent invalid ${messageType} message: ${error.message}`,
+  );
 
-  // Broadcast to other users in the same room
-  broadcastToRoom(clientId, {
-    type: "user-position",
-    userId: clientId,
-    position: data.position,
-    rotation: data.rotation,
-    quaternion: data.quaternion,
-  });
-}
+  errorCounter.inc({ type: "protocol", operation: messageType });
 
-function broadcastToOthers(excludeId, message) {
-  const messageStr = JSON.stringify(message);
-  clients.forEach((client, id) => {
-    if (id !== excludeId && client.readyState === WebSocket.OPEN) {
-      client.send(messageStr);
-    }
-  });
+  ws.send(
+    JSON.stringify({
+      type: "protocol_error",
+      code: error.code,
+      field: error.field,
+      message: error.message,
+      messageType: messageType,
+    }),
+  );
 }
 
-function broadcastToRoom(excludeId, message) {
-  const usersInRoom = roomManager.getUsersInSameRoom(excludeId);
-  const messageStr = JSON.stringify(message);
+/**
+ * Reply to a message the client's token does not permit
+ * @param {string} clientId - Client identifier
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {string} messageType - Rejected message type
+ * @param {string} reason - Human-readable reason
+ */
+function rejectForbidden(clientId, ws, messageType, reason) {
+  console.warn(`Client ${clientId} forbidden: ${reason}`);
 
-  usersInRoom.forEach((userId) => {
-    const client = clients.get(userId);
-    if (client && client.readyState === WebSocket.OPEN) {
-      client.send(messageStr);
-    }
-  });
-}
+  errorCounter.inc({ type: "auth", operation: messageType });
 
-function generateId() {
-  return Math.random().toString(36).substring(2, 15);
+  ws.send(
+    JSON.stringify({
+      type: "error",
+      message: `Forbidden: ${reason}`,
+      operation: messageType,
+    }),
+  );
 }
 
-// Object Synchronization Handlers
+/**
+ * Reply to an object operation targeting a room the client is not in
+ * @param {string} clientId - Client identifier
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {string} messageType - Rejected message type
+ * @param {string} roomId - Room the message targeted
+ */
+function rejectRoomOperation(clientId, ws, messageType, roomId) {
+  console.warn(
+    `Client ${clientId} sent ${messageType} for room ${roomId} without joining it`,
+  );
+
+  errorCounter.inc({ type: "room_access", operation: messageType });
 
-function handleGetRoomObjects(ws, roomId) {
+  ws.send(
+    JSON.stringify({
+      type: "error",
+      message: `Not a member of room ${roomId}`,
+      roomId: roomId,
+      operation: messageType,
+    }),
+  );
+}
+
+function handleGetRoomObjects(clientId, ws, roomId) {
   const objects = objectSync.getRoomObjects(roomId);
 
   ws.send(
@@ -885,7 +2544,9 @@ function handleGetRoomObjects(ws, roomId) {
     }),
   );
 
-  console.log(`Sent ${objects.length} objects in room ${roomId} to client`);
+  console.log(
+    `Sent ${objects.length} objects in room ${roomId} to client ${clientId}`,
+  );
 }
 
 function handleCreateObject(roomId, objectData) {
@@ -896,8 +2557,8 @@ function handleCreateObject(roomId, objectData) {
     const objects = objectSync.getRoomObjects(roomId);
     objectCount.set({ room: roomId }, objects.length);
 
-    // Broadcast to all clients
-    broadcastToAll({
+    // Broadcast to clients in the room
+    broadcastToRoomMembers(roomId, {
       type: "object-created",
       object: createdObject,
     });
@@ -912,8 +2573,8 @@ function handleUpdateObject(roomId, objectId, updates) {
   try {
     const updatedObject = objectSync.updateObject(roomId, objectId, updates);
 
-    // Broadcast to all clients
-    broadcastToAll({
+    // Broadcast to clients in the room
+    broadcastToRoomMembers(roomId, {
       type: "object-updated",
       object: updatedObject,
     });
@@ -933,8 +2594,8 @@ function handleDeleteObject(roomId, objectId) {
       const objects = objectSync.getRoomObjects(roomId);
       objectCount.set({ room: roomId }, objects.length);
 
-      // Broadcast to all clients
-      broadcastToAll({
+      // Broadcast to clients in the room
+      broadcastToRoomMembers(roomId, {
         type: "object-deleted",
         objectId: objectId,
       });
@@ -951,8 +2612,8 @@ function handleGrabObject(userId, ws, roomId, objectId) {
     const result = objectSync.grabObject(roomId, objectId, userId);
 
     if (result.success) {
-      // Broadcast to all clients that this object is now grabbed
-      broadcastToAll({
+      // Broadcast to the room that this object is now grabbed
+      broadcastToRoomMembers(roomId, {
         type: "object-grabbed",
         objectId: objectId,
         userId: userId,
@@ -989,8 +2650,8 @@ function handleReleaseObject(userId, roomId, objectId) {
     const released = objectSync.releaseObject(roomId, objectId, userId);
 
     if (released) {
-      // Broadcast to all clients that this object is now released
-      broadcastToAll({
+      // Broadcast to the room that this object is now released
+      broadcastToRoomMembers(roomId, {
         type: "object-released",
         objectId: objectId,
         userId: userId,
@@ -1032,14 +2693,18 @@ function handleMoveObject(userId, roomId, objectId, position, rotation) {
     // Refresh the ownership timeout
     objectSync.refreshOwnership(objectId, userId);
 
-    // Broadcast the updated position to all other clients
-    broadcastToOthers(userId, {
-      type: "object-moved",
-      objectId: objectId,
-      position: updatedObject.position,
-      rotation: updatedObject.rotation,
-      userId: userId,
-    });
+    // Broadcast the updated position to the other clients in the room
+    broadcastToRoomMembers(
+      roomId,
+      {
+        type: "object-moved",
+        objectId: objectId,
+        position: updatedObject.position,
+        rotation: updatedObject.rotation,
+        userId: userId,
+      },
+      userId,
+    );
   } catch (error) {
     console.error("Error moving object:", error);
   }
@@ -1051,54 +2716,70 @@ function handleMoveObject(userId, roomId, objectId, position, rotation) {
  * POST /api/assets/upload
  * Upload a high-quality GLB asset and auto-generate LOD levels
  * Body: raw binary GLB data
- * Query: ?assetId=<unique-id>
+ * Query: ?assetId=<unique-id>[&roomId=<room>] (roomId scopes the notification)
  */
-app.post("/api/assets/upload", async (req, res) => {
-  try {
-    const assetId = req.query.assetId;
+app.post(
+  "/api/assets/upload",
+  authManager.requireRole("editor"),
+  async (req, res) => {
+    try {
+      const assetId = req.query.assetId;
 
-    if (!assetId) {
-      return res.status(400).json({ error: "Missing assetId query parameter" });
-    }
+      if (!assetId) {
+        return res
+          .status(400)
+          .json({ error: "Missing assetId query parameter" });
+      }
 
-    if (!req.body || req.body.length === 0) {
-      return res.status(400).json({ error: "Missing GLB file data" });
-    }
+      if (!req.body || req.body.length === 0) {
+        return res.status(400).json({ error: "Missing GLB file data" });
+      }
 
-    console.log(`\n=== Asset Upload Request ===`);
-    console.log(`Asset ID: ${assetId}`);
-    console.log(`File size: ${req.body.length} bytes`);
+      const roomId = req.query.roomId;
+      if (
+        roomId !== undefined &&
+        !authManager.canAccessRoom(req.auth, roomId)
+      ) {
+        return res
+          .status(403)
+          .json({ error: `Forbidden: no access to room ${roomId}` });
+      }
 
-    // Upload asset and generate LODs
-    const result = await assetManager.uploadAsset(assetId, req.body);
+      console.log(`\n=== Asset Upload Request ===`);
+      console.log(`Asset ID: ${assetId}`);
+      console.log(`File size: ${req.body.length} bytes`);
 
-    console.log(`=== Upload Complete ===\n`);
+      // Upload asset and generate LODs
+      const result = await assetManager.uploadAsset(assetId, req.body);
 
-    res.json({
-      success: true,
-      ...result,
-    });
+      console.log(`=== Upload Complete ===\n`);
 
-    // Notify all connected clients about new asset
-    broadcastToAll({
-      type: "asset_uploaded",
-      assetId: result.assetId,
-      lodLevels: result.lodLevels,
-    });
-  } catch (error) {
-    console.error("Asset upload error:", error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
-  }
-});
+      res.json({
+        success: true,
+        ...result,
+      });
+
+      // Notify connected clients about new asset
+      broadcastAssetNotification(req.auth, roomId, {
+        type: "asset_uploaded",
+        assetId: result.assetId,
+        lodLevels: result.lodLevels,
+      });
+    } catch (error) {
+      console.error("Asset upload error:", error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
 
 /**
  * GET /api/assets
  * List all available assets
  */
-app.get("/api/assets", (req, res) => {
+app.get("/api/assets", authManager.requireRole("viewer"), (req, res) => {
   const assets = assetManager.listAssets();
   res.json({ assets });
 });
@@ -1107,50 +2788,511 @@ app.get("/api/assets", (req, res) => {
  * GET /api/assets/:assetId
  * Get information about a specific asset
  */
-app.get("/api/assets/:assetId", (req, res) => {
-  const assetInfo = assetManager.getAssetInfo(req.params.assetId);
+app.get(
+  "/api/assets/:assetId",
+  authManager.requireRole("viewer"),
+  (req, res) => {
+    const assetInfo = assetManager.getAssetInfo(req.params.assetId);
+
+    if (!assetInfo) {
+      return res.status(404).json({ error: "Asset not found" });
+    }
+
+    res.json(assetInfo);
+  },
+);
+
+/**
+ * GET /api/assets/:assetId/lods/:lod
+ * Download one LOD of an asset as a GLB
+ * Cacheable: sends an ETag (content hash), honours If-None-Match and Range
+ */
+app.get(
+  "/api/assets/:assetId/lods/:lod",
+  authManager.requireRole("viewer"),
+  (req, res) => {
+    const { assetId, lod } = req.params;
+
+    if (!assetManager.getLods(assetId).includes(lod)) {
+      return res
+        .status(404)
+        .json({ error: `Asset not found: ${assetId} (${lod})` });
+    }
+
+    assetRequests.inc({ asset: assetId, lod: lod });
+
+    const bytesSent = sendCacheableBuffer(
+      req,
+      res,
+      assetManager.getAsset(assetId, lod),
+      "model/gltf-binary",
+    );
+    assetBytesTransferred.inc({ asset: assetId }, bytesSent);
+  },
+);
+
+/**
+ * GET /api/assets/:assetId/splats/:quality
+ * Download an asset's Gaussian splat data
+ * Query: ?format=<splat|ply|gaussian> (optional, any supported format otherwise)
+ * Cacheable like the LOD route; the format is sent in X-Splat-Format
+ */
+app.get(
+  "/api/assets/:assetId/splats/:quality",
+  authManager.requireRole("viewer"),
+  async (req, res) => {
+    const { assetId, quality } = req.params;
+    const supportedFormats =
+      ClientCapabilities.SERVER_CAPABILITIES.splatFormats;
+
+    if (!ASSET_ID_PATTERN.test(assetId)) {
+      return res.status(400).json({ error: `Invalid asset ID: ${assetId}` });
+    }
+    if (!["low", "medium", "high"].includes(quality)) {
+      return res.status(400).json({ error: `Invalid quality: ${quality}` });
+    }
+    if (req.query.format && !supportedFormats.includes(req.query.format)) {
+      return res
+        .status(400)
+        .json({ error: `Unsupported splat format: ${req.query.format}` });
+    }
+
+    try {
+      const splatData = await getNeRFSplatData(
+        assetId,
+        { quality: quality },
+        req.query.format ? [req.query.format] : supportedFormats,
+      );
+
+      if (!splatData || splatData.generated) {
+        return res
+          .status(404)
+          .json({ error: `Splat data not found: ${assetId}` });
+      }
+
+      assetRequests.inc({ asset: assetId, lod: quality });
+
+      res.set("X-Splat-Format", splatData.format);
+      const bytesSent = sendCacheableBuffer(
+        req,
+        res,
+        splatData.buffer,
+        getSplatMimeType(splatData.format),
+      );
+      assetBytesTransferred.inc({ asset: assetId }, bytesSent);
+    } catch (error) {
+      console.error(`Error serving splat data for ${assetId}:`, error);
+      errorCounter.inc({ type: "nerf_streaming", operation: assetId });
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+/**
+ * Send an immutable-by-content buffer with HTTP caching and byte ranges
+ * The ETag is the content hash, so caches revalidate cheaply after max-age and
+ * pick up re-uploaded assets. Responses are private while auth is enforced.
+ * A single byte range is served as 206; multiple ranges fall back to the full body.
+ * @param {express.Request} req - Request
+ * @param {express.Response} res - Response
+ * @param {Buffer} buffer - Body
+ * @param {string} contentType - MIME type
+ * @returns {number} Body bytes sent
+ */
+function sendCacheableBuffer(req, res, buffer, contentType) {
+  const etag = `"${assetManager.getContentHash(buffer)}"`;
+
+  res.set({
+    "Content-Type": contentType,
+    ETag: etag,
+    "Accept-Ranges": "bytes",
+    "Cache-Control": `${authManager.isEnabled() ? "private" : "public"}, max-age=${ASSET_HTTP_MAX_AGE}`,
+  });
 
-  if (!assetInfo) {
-    return res.status(404).json({ error: "Asset not found" });
+  if (req.fresh) {
+    res.status(304).end();
+    return 0;
   }
 
-  res.json(assetInfo);
-});
+  // If-Range: only honour the range when it refers to this exact content
+  const ifRange = req.get("If-Range");
+  const ranges =
+    req.get("Range") && (!ifRange || ifRange === etag)
+      ? req.range(buffer.length, { combine: true })
+      : undefined;
+
+  if (ranges === -1) {
+    res.set("Content-Range", `bytes */${buffer.length}`);
+    res.status(416).end();
+    return 0;
+  }
+
+  if (Array.isArray(ranges) && ranges.type === "bytes" && ranges.length === 1) {
+    const { start, end } = ranges[0];
+    res.set({
+      "Content-Range": `bytes ${start}-${end}/${buffer.length}`,
+      "Content-Length": end + 1 - start,
+    });
+    res.status(206).end(buffer.subarray(start, end + 1));
+    return end + 1 - start;
+  }
+
+  // No (or malformed) Range header
+  res.set("Content-Length", buffer.length);
+  res.status(200).end(buffer);
+  return buffer.length;
+}
+
+/**
+ * Get the MIME type for a splat format
+ * @param {string} format - 'splat', 'ply' or 'gaussian'
+ * @returns {string} MIME type
+ */
+function getSplatMimeType(format) {
+  return format === "ply" ? "application/ply" : "application/octet-stream";
+}
 
 /**
  * DELETE /api/assets/:assetId
  * Remove an asset and its cached LODs
+ * Query: ?roomId=<room> (optional, scopes the notification)
  */
-app.delete("/api/assets/:assetId", async (req, res) => {
-  try {
-    await assetManager.removeAsset(req.params.assetId);
+app.delete(
+  "/api/assets/:assetId",
+  authManager.requireRole("admin"),
+  async (req, res) => {
+    try {
+      const roomId = req.query.roomId;
+      if (
+        roomId !== undefined &&
+        !authManager.canAccessRoom(req.auth, roomId)
+      ) {
+        return res
+          .status(403)
+          .json({ error: `Forbidden: no access to room ${roomId}` });
+      }
+
+      await assetManager.removeAsset(req.params.assetId);
+
+      res.json({
+        success: true,
+        message: `Asset ${req.params.assetId} removed`,
+      });
+
+      // Notify connected clients
+      broadcastAssetNotification(req.auth, roomId, {
+        type: "asset_removed",
+        assetId: req.params.assetId,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+/**
+ * Fan out an asset library notification
+ * Assets are shared across rooms, so notifications go to every room the caller
+ * may access unless the request names a single room to notify
+ * @param {Object|null} claims - Token claims of the caller
+ * @param {string} [roomId] - Room to notify, or undefined for all rooms
+ * @param {Object} message - Notification message
+ */
+function broadcastAssetNotification(claims, roomId, message) {
+  if (typeof roomId === "string" && ROOM_ID_PATTERN.test(roomId)) {
+    broadcastToRoomMembers(roomId, message);
+    return;
+  }
+
+  roomManager
+    .getRoomIds()
+    .filter((room) => authManager.canAccessRoom(claims, room))
+    .forEach((room) => {
+      broadcastToRoomMembers(room, message);
+    });
+}
+
+// REST API endpoints for room persistence
+
+/**
+ * GET /api/rooms/:roomId/snapshot
+ * Export the shared objects in a room as a JSON snapshot
+ */
+app.get(
+  "/api/rooms/:roomId/snapshot",
+  authManager.requireRole("viewer"),
+  (req, res) => {
+    const roomId = req.params.roomId;
+
+    if (!ROOM_ID_PATTERN.test(roomId)) {
+      return res.status(400).json({ error: `Invalid room ID: ${roomId}` });
+    }
+
+    if (!authManager.canAccessRoom(req.auth, roomId)) {
+      return res
+        .status(403)
+        .json({ error: `Forbidden: no access to room ${roomId}` });
+    }
+
+    res.json(objectSync.getSnapshot(roomId));
+  },
+);
+
+/**
+ * POST /api/rooms/:roomId/restore
+ * Replace the shared objects in a room with a snapshot
+ * Body: snapshot JSON as returned by GET /api/rooms/:roomId/snapshot
+ */
+app.post(
+  "/api/rooms/:roomId/restore",
+  authManager.requireRole("admin"),
+  async (req, res) => {
+    const roomId = req.params.roomId;
+
+    if (!ROOM_ID_PATTERN.test(roomId)) {
+      return res.status(400).json({ error: `Invalid room ID: ${roomId}` });
+    }
+
+    if (!authManager.canAccessRoom(req.auth, roomId)) {
+      return res
+        .status(403)
+        .json({ error: `Forbidden: no access to room ${roomId}` });
+    }
+
+    if (!req.body || !Array.isArray(req.body.objects)) {
+      return res
+        .status(400)
+        .json({ error: "Snapshot body must contain an objects array" });
+    }
+
+    if (
+      req.body.objects.some(
+        (object) =>
+          !object || typeof object !== "object" || Array.isArray(object),
+      )
+    ) {
+      return res
+        .status(400)
+        .json({ error: "Snapshot objects must all be objects" });
+    }
+
+    try {
+      const objects = await objectSync.restoreSnapshot(roomId, req.body);
+
+      objectCount.set({ room: roomId }, objects.length);
+
+      res.json({
+        success: true,
+        roomId: roomId,
+        objectCount: objects.length,
+      });
+
+      // Replace the scene for everyone currently in the room
+      broadcastToRoomMembers(roomId, {
+        type: "room-restored",
+        roomId: roomId,
+        objects: objects,
+      });
+    } catch (error) {
+      console.error(`Room restore error for ${roomId}:`, error);
+      errorCounter.inc({ type: "room_persistence", operation: "restore" });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+/**
+ * PUT /api/rooms/:roomId/abr-strategy
+ * Choose the ABR strategy for every client in a room (clients can still pick their own)
+ * Body: { strategy: "throughput" | "bola" | null } (null restores the server default)
+ */
+app.put(
+  "/api/rooms/:roomId/abr-strategy",
+  authManager.requireRole("admin"),
+  (req, res) => {
+    const roomId = req.params.roomId;
+
+    if (!ROOM_ID_PATTERN.test(roomId)) {
+      return res.status(400).json({ error: `Invalid room ID: ${roomId}` });
+    }
+
+    if (!authManager.canAccessRoom(req.auth, roomId)) {
+      return res
+        .status(403)
+        .json({ error: `Forbidden: no access to room ${roomId}` });
+    }
+
+    const strategy = req.body ? req.body.strategy : undefined;
+    if (strategy !== null && typeof strategy !== "string") {
+      return res
+        .status(400)
+        .json({ error: "Body must contain a strategy name or null" });
+    }
+
+    try {
+      adaptiveStreaming.setRoomStrategy(roomId, strategy);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
 
+    console.log(
+      `Room ${roomId} ABR strategy: ${strategy || `default (${adaptiveStreaming.defaultStrategy})`}`,
+    );
     res.json({
       success: true,
-      message: `Asset ${req.params.assetId} removed`,
+      roomId: roomId,
+      strategy: strategy,
+      defaultStrategy: adaptiveStreaming.defaultStrategy,
     });
+  },
+);
 
-    // Notify all connected clients
-    broadcastToAll({
-      type: "asset_removed",
-      assetId: req.params.assetId,
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
-  }
+// REST API endpoints for network emulation
+
+/**
+ * GET /api/network-profiles
+ * List the network profiles clients can be shaped with
+ */
+app.get(
+  "/api/network-profiles",
+  authManager.requireRole("viewer"),
+  (req, res) => {
+    res.json({ profiles: networkShaper.getProfiles() });
+  },
+);
+
+/**
+ * PUT /api/clients/:clientId/network-profile
+ * Shape a connected client's link with a network profile
+ * Body: { profile: "3g" | "congested-wifi" | "quest-tether" | null, settings: { ... } }
+ * (settings override the profile's bandwidth, latency, jitter, stallProbability
+ * and stallDuration; a null profile stops shaping)
+ */
+app.put(
+  "/api/clients/:clientId/network-profile",
+  authManager.requireRole("admin"),
+  (req, res) => {
+    const clientId = req.params.clientId;
+    if (!clients.has(clientId)) {
+      return res
+        .status(404)
+        .json({ error: `Client not connected: ${clientId}` });
+    }
+
+    const room = roomManager.getUserRoom(clientId);
+    if (!authManager.canAccessRoom(req.auth, room)) {
+      return res
+        .status(403)
+        .json({ error: `Forbidden: no access to room ${room}` });
+    }
+
+    const body = req.body || {};
+    if (body.profile !== null && typeof body.profile !== "string") {
+      return res
+        .status(400)
+        .json({ error: "Body must contain a profile name or null" });
+    }
+    if (
+      body.settings !== undefined &&
+      (typeof body.settings !== "object" ||
+        body.settings === null ||
+        Array.isArray(body.settings))
+    ) {
+      return res.status(400).json({ error: "settings must be an object" });
+    }
+
+    let shaping;
+    try {
+      shaping = networkShaper.setProfile(clientId, body.profile, body.settings);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    sendNetworkProfile(clientId);
+    res.json({ success: true, clientId: clientId, shaping: shaping });
+  },
+);
+
+// REST API endpoints for session QoE telemetry
+
+/**
+ * GET /api/sessions
+ * List the QoE summaries of sessions in rooms the caller may access (ended
+ * sessions stay listed until their data expires)
+ */
+app.get("/api/sessions", authManager.requireRole("viewer"), (req, res) => {
+  const sessions = qoeTracker
+    .getSessionIds()
+    .map((sessionId) => qoeTracker.getSession(sessionId))
+    .filter((session) => authManager.canAccessRoom(req.auth, session.room))
+    .map((session) => ({
+      ...session,
+      connected: clients.has(session.sessionId),
+    }));
+
+  res.json({ sessions: sessions });
 });
 
-function broadcastToAll(message) {
-  const messageStr = JSON.stringify(message);
-  clients.forEach((client) => {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(messageStr);
+/**
+ * GET /api/sessions/:sessionId
+ * QoE summary of a session (the client ID from its welcome message): time to
+ * first render, LOD switches, stall time, average LOD, FPS and bytes received,
+ * with the bytes sent, ABR strategy and network profile on the server side
+ */
+app.get(
+  "/api/sessions/:sessionId",
+  authManager.requireRole("viewer"),
+  (req, res) => {
+    const sessionId = req.params.sessionId;
+    const session = qoeTracker.getSession(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: `Session not found: ${sessionId}` });
     }
-  });
-}
+
+    if (!authManager.canAccessRoom(req.auth, session.room)) {
+      return res
+        .status(403)
+        .json({ error: `Forbidden: no access to room ${session.room}` });
+    }
+
+    res.json({ ...session, connected: clients.has(sessionId) });
+  },
+);
+
+/**
+ * GET /api/sessions/:sessionId/report
+ * Download a session's QoE report as JSON: the summary plus a timeline of the
+ * client's reports
+ */
+app.get(
+  "/api/sessions/:sessionId/report",
+  authManager.requireRole("viewer"),
+  (req, res) => {
+    const sessionId = req.params.sessionId;
+    const report = qoeTracker.getReport(sessionId);
+    if (!report) {
+      return res.status(404).json({ error: `Session not found: ${sessionId}` });
+    }
+
+    if (!authManager.canAccessRoom(req.auth, report.room)) {
+      return res
+        .status(403)
+        .json({ error: `Forbidden: no access to room ${report.room}` });
+    }
+
+    res.attachment(`qoe-${sessionId}.json`);
+    res.type("application/json");
+    res.send(
+      JSON.stringify({ ...report, connected: clients.has(sessionId) }, null, 2),
+    );
+  },
+);
 
 const PORT = process.env.PORT || 3000;
 
@@ -1160,14 +3302,54 @@ const PORT = process.env.PORT || 3000;
     await assetManager.init();
     console.log("Asset manager initialized");
 
+    if (roomStore) {
+      await roomStore.init();
+      const restoredRooms = await objectSync.restore();
+      objectSync.getStats().rooms.forEach((room) => {
+        objectCount.set({ room: room.roomId }, room.objectCount);
+      });
+      console.log(`Restored ${restoredRooms} persisted rooms`);
+    }
+
     server.listen(PORT, () => {
       console.log(`Server running on http://localhost:${PORT}`);
       console.log(
         `Upload assets via: POST http://localhost:${PORT}/api/assets/upload?assetId=<id>`,
       );
+      if (!authManager.isEnabled()) {
+        console.warn(
+          "AUTH_SECRET not set: authentication disabled, all clients have admin access",
+        );
+      }
     });
   } catch (error) {
     console.error("Failed to start server:", error);
     process.exit(1);
   }
 })();
+
+let shuttingDown = false;
+
+/**
+ * Write out journaled room changes before the process exits
+ * A second signal during shutdown exits immediately
+ * @param {string} signal - Signal that triggered the shutdown
+ */
+async function shutdown(signal) {
+  if (shuttingDown) {
+    process.exit(1);
+  }
+  shuttingDown = true;
+  console.log(`Received ${signal}, shutting down...`);
+
+  server.close();
+  try {
+    await objectSync.flush();
+  } catch (error) {
+    console.error("Failed to persist room changes on shutdown:", error);
+  }
+  process.exit(0);
+}
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
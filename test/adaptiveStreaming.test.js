@@ -0,0 +1,199 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const AdaptiveStreamingManager = require("../lib/adaptiveStreaming");
+
+// LOD sizes of the bundled helmet asset
+const HELMET = {
+  id: "helmet",
+  lods: ["high", "medium", "low"],
+  sizes: { high: 3293532, medium: 249688, low: 125116 },
+};
+
+/**
+ * Feed a client enough bandwidth samples for LOD decisions
+ * @param {AdaptiveStreamingManager} manager - Manager under test
+ * @param {string} clientId - Client identifier
+ * @param {number} bandwidth - Bytes per second to report
+ */
+function measure(manager, clientId, bandwidth) {
+  for (let i = 0; i < manager.MIN_SAMPLES; i++) {
+    manager.updateMetrics(clientId, bandwidth, 1000);
+  }
+}
+
+describe("AdaptiveStreamingManager", () => {
+  describe("getLodLadder", () => {
+    it("orders LODs by size, smallest first", () => {
+      const ladder = new AdaptiveStreamingManager().getLodLadder(HELMET);
+
+      assert.deepEqual(
+        ladder.map((rung) => rung.lod),
+        ["low", "medium", "high"],
+      );
+      assert.equal(ladder[1].bytes, HELMET.sizes.medium);
+    });
+
+    it("needs the bandwidth that downloads a LOD within the target time", () => {
+      const manager = new AdaptiveStreamingManager();
+      const ladder = manager.getLodLadder(HELMET);
+
+      assert.equal(
+        ladder[2].bandwidth,
+        (HELMET.sizes.high / manager.TARGET_TIME_TO_RENDER_MS) * 1000,
+      );
+    });
+
+    it("keeps the nominal order for LODs of equal size", () => {
+      const ladder = new AdaptiveStreamingManager().getLodLadder({
+        id: "cube",
+        lods: ["high", "low", "medium"],
+        sizes: { high: 1000, low: 1000, medium: 1000 },
+      });
+
+      assert.deepEqual(
+        ladder.map((rung) => rung.lod),
+        ["low", "medium", "high"],
+      );
+    });
+
+    it("falls back to the fixed thresholds without asset info", () => {
+      const manager = new AdaptiveStreamingManager();
+      const ladder = manager.getLodLadder(null);
+
+      assert.deepEqual(
+        ladder.map((rung) => [rung.lod, rung.bandwidth]),
+        [
+          ["low", 0],
+          ["medium", manager.THRESHOLDS.MEDIUM],
+          ["high", manager.THRESHOLDS.HIGH],
+        ],
+      );
+    });
+  });
+
+  describe("selectLOD", () => {
+    it("picks the largest LOD the measured bandwidth affords", () => {
+      const manager = new AdaptiveStreamingManager();
+      measure(manager, "c1", 400000);
+
+      assert.equal(manager.selectLOD("c1", HELMET), "medium");
+    });
+
+    it("picks the top of the ladder on a fast link", () => {
+      const manager = new AdaptiveStreamingManager();
+      measure(manager, "c1", 1000000);
+
+      assert.equal(manager.selectLOD("c1", HELMET), "high");
+    });
+
+    it("starts with the lowest LOD before enough samples arrive", () => {
+      const manager = new AdaptiveStreamingManager();
+      manager.updateMetrics("c1", 1000000, 1000);
+
+      assert.equal(manager.selectLOD("c1", HELMET), "low");
+    });
+
+    it("forces the lowest LOD in simulation mode", () => {
+      const manager = new AdaptiveStreamingManager();
+      measure(manager, "c1", 1000000);
+      manager.setSimulationMode("c1", true);
+
+      assert.equal(manager.selectLOD("c1", HELMET), "low");
+    });
+  });
+
+  describe("dampSwitch", () => {
+    /**
+     * Recommend a LOD for the helmet to a client with a measured bandwidth
+     * @returns {string} LOD after damping
+     */
+    function recommend(manager, bandwidth, candidate) {
+      manager.clientMetrics.delete("c1");
+      measure(manager, "c1", bandwidth);
+      return manager.dampSwitch(
+        "c1",
+        manager.getLodLadder(HELMET),
+        candidate,
+        {},
+        "helmet",
+      );
+    }
+
+    it("accepts the first recommendation as is", () => {
+      const manager = new AdaptiveStreamingManager();
+
+      assert.equal(recommend(manager, 400000, "medium"), "medium");
+    });
+
+    it("holds the current LOD inside the hysteresis band", (t) => {
+      let now = 0;
+      t.mock.method(Date, "now", () => now);
+      const manager = new AdaptiveStreamingManager();
+      recommend(manager, 400000, "medium");
+
+      // Just above the high rung (658706 B/s), but not 20% above it
+      now += manager.UPGRADE_DWELL_MS;
+      assert.equal(recommend(manager, 700000, "high"), "medium");
+    });
+
+    it("waits out the minimum dwell before an upgrade", (t) => {
+      let now = 0;
+      t.mock.method(Date, "now", () => now);
+      const manager = new AdaptiveStreamingManager();
+      recommend(manager, 400000, "medium");
+
+      now += manager.UPGRADE_DWELL_MS - 1;
+      assert.equal(recommend(manager, 2000000, "high"), "medium");
+
+      now += 1;
+      assert.equal(recommend(manager, 2000000, "high"), "high");
+    });
+
+    it("downgrades after the shorter downgrade dwell", (t) => {
+      let now = 0;
+      t.mock.method(Date, "now", () => now);
+      const manager = new AdaptiveStreamingManager();
+      recommend(manager, 2000000, "high");
+
+      now += manager.DOWNGRADE_DWELL_MS - 1;
+      assert.equal(recommend(manager, 100000, "medium"), "high");
+
+      now += 1;
+      assert.equal(recommend(manager, 100000, "medium"), "medium");
+    });
+
+    it("holds back upgrades whose gain does not cover the re-download", (t) => {
+      let now = 0;
+      t.mock.method(Date, "now", () => now);
+      const manager = new AdaptiveStreamingManager();
+      const ladder = manager.getLodLadder({
+        id: "cube",
+        lods: ["low", "medium"],
+        sizes: { low: 1000000, medium: 1200000 },
+      });
+      measure(manager, "c1", 500000);
+      manager.dampSwitch("c1", ladder, "low", {}, "cube");
+
+      now += manager.UPGRADE_DWELL_MS;
+      assert.equal(
+        manager.dampSwitch("c1", ladder, "medium", {}, "cube"),
+        "low",
+      );
+    });
+
+    it("starts over for a different asset", () => {
+      const manager = new AdaptiveStreamingManager();
+      recommend(manager, 400000, "medium");
+
+      const lod = manager.dampSwitch(
+        "c1",
+        manager.getLodLadder(HELMET),
+        "high",
+        {},
+        "other-asset",
+      );
+      assert.equal(lod, "high");
+    });
+  });
+});
@@ -0,0 +1,167 @@
+// Request-path tests: run the server and check which LOD a request_asset
+// without a LOD gets, end to end through foveation and the ABR ladder
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawn } = require("node:child_process");
+const net = require("node:net");
+const path = require("node:path");
+const WebSocket = require("ws");
+
+const AdaptiveStreamingManager = require("../lib/adaptiveStreaming");
+
+/**
+ * Find a free TCP port
+ * @returns {Promise<number>} Port number
+ */
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once("error", reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start server.js and wait until it listens
+ * @param {number} port - Port to listen on
+ * @returns {Promise<ChildProcess>} Server process
+ */
+function startServer(port) {
+  return new Promise((resolve, reject) => {
+    const server = spawn(process.execPath, ["server.js"], {
+      cwd: path.join(__dirname, ".."),
+      env: { ...process.env, PORT: String(port), ROOM_PERSISTENCE: "off" },
+      stdio: ["ignore", "pipe", "inherit"],
+    });
+
+    let output = "";
+    server.stdout.on("data", (data) => {
+      output += data;
+      if (output.includes("Server running")) {
+        server.stdout.removeAllListeners("data");
+        server.stdout.resume();
+        resolve(server);
+      }
+    });
+    server.once("exit", (code) =>
+      reject(new Error(`Server exited with code ${code}`)),
+    );
+  });
+}
+
+/**
+ * Open a client connection that collects the server's JSON messages
+ * @param {number} port - Server port
+ * @returns {Promise<WebSocket>} Socket with a messages array
+ */
+function connect(port) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`ws://localhost:${port}/`);
+    ws.messages = [];
+    ws.on("message", (data, isBinary) => {
+      if (!isBinary) ws.messages.push(JSON.parse(data));
+    });
+    ws.once("open", () => resolve(ws));
+    ws.once("error", reject);
+  });
+}
+
+/**
+ * Wait for the first message of a set of types
+ * @param {WebSocket} ws - Socket from connect()
+ * @param {Array<string>} types - Message types to wait for
+ * @returns {Promise<Object>} The message
+ */
+async function waitForMessage(ws, types) {
+  for (;;) {
+    const message = ws.messages.find((m) => types.includes(m.type));
+    if (message) return message;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+/**
+ * Request the helmet without a LOD after reporting a bandwidth
+ * @param {number} port - Server port
+ * @param {number} bandwidth - Bytes per second to report
+ * @param {Array<number>} [rotation] - Head rotation to report, if any
+ * @returns {Promise<Object>} The asset_metadata or asset_skipped reply
+ */
+async function requestHelmet(port, bandwidth, rotation) {
+  const ws = await connect(port);
+  await waitForMessage(ws, ["welcome"]);
+
+  for (let i = 0; i < 3; i++) {
+    ws.send(
+      JSON.stringify({
+        type: "bandwidth-metrics",
+        metrics: { bandwidth: bandwidth },
+        assetId: "helmet",
+      }),
+    );
+  }
+  if (rotation) {
+    ws.send(
+      JSON.stringify({
+        type: "head-tracking",
+        position: [0, 0, 0],
+        rotation: rotation,
+      }),
+    );
+  }
+  ws.send(JSON.stringify({ type: "request_asset", assetId: "helmet" }));
+
+  const reply = await waitForMessage(ws, ["asset_metadata", "asset_skipped"]);
+  ws.close();
+  return reply;
+}
+
+describe("request_asset without a LOD", { timeout: 30000 }, () => {
+  let server;
+  let port;
+  let ladder;
+  // Halfway between the middle and top rungs, so only the ladder picks the middle
+  let bandwidth;
+
+  before(async () => {
+    port = await getFreePort();
+    server = await startServer(port);
+
+    const response = await fetch(`http://localhost:${port}/api/assets/helmet`);
+    ladder = new AdaptiveStreamingManager().getLodLadder(await response.json());
+    bandwidth = (ladder[1].bandwidth + ladder[2].bandwidth) / 2;
+  });
+
+  after(() => {
+    if (server) server.kill();
+  });
+
+  it("is chosen from the ABR ladder before any view data", async () => {
+    const reply = await requestHelmet(port, bandwidth);
+
+    assert.equal(reply.type, "asset_metadata");
+    assert.equal(reply.lod, ladder[1].lod);
+  });
+
+  it("is capped by the ABR ladder for objects in the fovea", async () => {
+    const reply = await requestHelmet(port, bandwidth, [0, 0, 0]);
+
+    assert.equal(reply.lod, ladder[1].lod);
+  });
+
+  it("is lowered for objects in the periphery", async () => {
+    const reply = await requestHelmet(port, bandwidth, [0, 0.6, 0]);
+
+    assert.equal(reply.lod, "low");
+  });
+
+  it("is skipped for objects behind the viewer", async () => {
+    const reply = await requestHelmet(port, bandwidth, [0, Math.PI, 0]);
+
+    assert.equal(reply.type, "asset_skipped");
+  });
+});
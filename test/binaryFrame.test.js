@@ -0,0 +1,61 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const BinaryFrame = require("../lib/binaryFrame");
+
+const HEADER = {
+  kind: BinaryFrame.KINDS.SPLAT,
+  streamId: 7,
+  chunkIndex: 3,
+  offset: 49152,
+};
+
+describe("BinaryFrame", () => {
+  it("round-trips the header and payload", () => {
+    const payload = Buffer.from("chunk bytes");
+    const frame = BinaryFrame.encode(HEADER, payload);
+
+    assert.equal(frame.length, BinaryFrame.HEADER_SIZE + payload.length);
+    assert.deepEqual(BinaryFrame.decode(frame), {
+      ...HEADER,
+      length: payload.length,
+      payload: payload,
+    });
+  });
+
+  it("encodes an empty payload", () => {
+    const decoded = BinaryFrame.decode(
+      BinaryFrame.encode(HEADER, Buffer.alloc(0)),
+    );
+
+    assert.equal(decoded.length, 0);
+    assert.equal(decoded.payload.length, 0);
+  });
+
+  it("rejects frames shorter than the header", () => {
+    assert.equal(
+      BinaryFrame.decode(Buffer.alloc(BinaryFrame.HEADER_SIZE - 1)),
+      null,
+    );
+  });
+
+  it("rejects frames with the wrong magic or version", () => {
+    const badMagic = BinaryFrame.encode(HEADER, Buffer.from("x"));
+    badMagic.writeUInt16LE(0, 0);
+    assert.equal(BinaryFrame.decode(badMagic), null);
+
+    const badVersion = BinaryFrame.encode(HEADER, Buffer.from("x"));
+    badVersion.writeUInt8(99, 2);
+    assert.equal(BinaryFrame.decode(badVersion), null);
+  });
+
+  it("rejects frames whose length does not match the payload", () => {
+    const frame = BinaryFrame.encode(HEADER, Buffer.from("abc"));
+
+    assert.equal(BinaryFrame.decode(frame.subarray(0, frame.length - 1)), null);
+    assert.equal(
+      BinaryFrame.decode(Buffer.concat([frame, Buffer.from("d")])),
+      null,
+    );
+  });
+});
@@ -0,0 +1,66 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const BolaRule = require("../lib/bolaRule");
+
+const TARGET_MS = 5000;
+
+// Rungs as built by AdaptiveStreamingManager.getLodLadder
+const LADDER = [
+  { lod: "low", bytes: 125116, bandwidth: 25023 },
+  { lod: "medium", bytes: 249688, bandwidth: 49938 },
+  { lod: "high", bytes: 3293532, bandwidth: 658706 },
+];
+
+function choose(bandwidth, queuedBytes = 0, ladder = LADDER) {
+  return new BolaRule().chooseLOD({
+    ladder: ladder,
+    bandwidth: bandwidth,
+    queuedBytes: queuedBytes,
+    targetTimeToRenderMs: TARGET_MS,
+  });
+}
+
+describe("BolaRule", () => {
+  it("picks the largest LOD with an empty queue and a fast link", () => {
+    assert.equal(choose(1000000), "high");
+  });
+
+  it("steps down as queued bytes eat into the deadline", () => {
+    assert.equal(choose(1000000, 2000000), "medium");
+    assert.equal(choose(1000000, 4500000), "low");
+  });
+
+  it("never picks a LOD that would miss the deadline", () => {
+    // high would take about 5.5s at this bandwidth
+    assert.equal(choose(600000), "medium");
+  });
+
+  it("falls back to the smallest LOD if none meets the deadline", () => {
+    assert.equal(choose(10000), "low");
+  });
+
+  it("picks the smallest LOD without a bandwidth estimate", () => {
+    assert.equal(choose(0), "low");
+  });
+
+  it("picks the top LOD when all LODs are the same size", () => {
+    const ladder = ["low", "medium", "high"].map((lod) => ({
+      lod: lod,
+      bytes: 1000,
+      bandwidth: 200,
+    }));
+
+    assert.equal(choose(1000000, 0, ladder), "high");
+  });
+
+  it("follows the bandwidth thresholds for ladders without sizes", () => {
+    const ladder = [
+      { lod: "low", bytes: null, bandwidth: 0 },
+      { lod: "medium", bytes: null, bandwidth: 100000 },
+      { lod: "high", bytes: null, bandwidth: 500000 },
+    ];
+
+    assert.equal(choose(200000, 0, ladder), "medium");
+  });
+});
@@ -0,0 +1,134 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const NetworkShaper = require("../lib/networkShaper");
+
+describe("NetworkShaper", () => {
+  it("lists the named profiles", () => {
+    assert.deepEqual(Object.keys(new NetworkShaper().getProfiles()), [
+      "3g",
+      "congested-wifi",
+      "quest-tether",
+    ]);
+  });
+
+  describe("setProfile", () => {
+    it("applies a profile with overrides, leaving other settings at 0", () => {
+      const shaper = new NetworkShaper();
+      const shaping = shaper.setProfile("c1", "quest-tether", {
+        latency: 300,
+      });
+
+      assert.deepEqual(shaping, {
+        profile: "quest-tether",
+        settings: {
+          bandwidth: NetworkShaper.PROFILES["quest-tether"].bandwidth,
+          latency: 300,
+          jitter: 1,
+          stallProbability: 0,
+          stallDuration: 0,
+        },
+        stalls: 0,
+      });
+      assert.deepEqual(shaper.getProfile("c1"), shaping);
+    });
+
+    it("stops shaping with a null profile", () => {
+      const shaper = new NetworkShaper();
+      shaper.setProfile("c1", "3g");
+
+      assert.equal(shaper.setProfile("c1", null), null);
+      assert.equal(shaper.getProfile("c1"), null);
+    });
+
+    it("rejects unknown profiles", () => {
+      assert.throws(
+        () => new NetworkShaper().setProfile("c1", "dial-up"),
+        /Unknown network profile: dial-up/,
+      );
+    });
+
+    it("rejects negative settings and probabilities above 1", () => {
+      const shaper = new NetworkShaper();
+
+      assert.throws(
+        () => shaper.setProfile("c1", "3g", { latency: -1 }),
+        /latency must be a non-negative number/,
+      );
+      assert.throws(
+        () => shaper.setProfile("c1", "3g", { stallProbability: 1.5 }),
+        /stallProbability must be at most 1/,
+      );
+      assert.equal(shaper.getProfile("c1"), null);
+    });
+  });
+
+  describe("pacing", () => {
+    it("keeps the link busy for the time a chunk takes at the bandwidth", (t) => {
+      t.mock.method(Date, "now", () => 1000);
+      t.mock.method(Math, "random", () => 0.5);
+      const shaper = new NetworkShaper();
+      shaper.setProfile("c1", "3g", { stallProbability: 0 });
+
+      shaper.recordSend("c1", 48000);
+      assert.equal(shaper.getSendDelay("c1"), 500);
+
+      shaper.recordSend("c1", 48000);
+      assert.equal(shaper.getSendDelay("c1"), 1000);
+    });
+
+    it("adds the stall duration when a chunk stalls", (t) => {
+      t.mock.method(Date, "now", () => 1000);
+      t.mock.method(Math, "random", () => 0);
+      const shaper = new NetworkShaper();
+      shaper.setProfile("c1", "3g", { bandwidth: 0, stallProbability: 0.5 });
+
+      shaper.recordSend("c1", 48000);
+      assert.equal(shaper.getSendDelay("c1"), 500);
+      assert.equal(shaper.getProfile("c1").stalls, 1);
+    });
+
+    it("does not delay unshaped clients", () => {
+      const shaper = new NetworkShaper();
+
+      shaper.recordSend("c1", 48000);
+      assert.equal(shaper.getSendDelay("c1"), 0);
+    });
+  });
+
+  describe("deliver", () => {
+    it("sends right away for unshaped clients", () => {
+      const sent = [];
+      new NetworkShaper().deliver("c1", () => sent.push("a"));
+
+      assert.deepEqual(sent, ["a"]);
+    });
+
+    it("holds messages back by the latency and keeps their order", (t) => {
+      t.mock.timers.enable({ apis: ["setTimeout"] });
+      t.mock.method(Date, "now", () => 1000);
+      const random = [1, 0];
+      t.mock.method(Math, "random", () => random.shift());
+      const shaper = new NetworkShaper();
+      shaper.setProfile("c1", "3g", { latency: 100, jitter: 50 });
+
+      const sent = [];
+      shaper.deliver("c1", () => sent.push("first"));
+      shaper.deliver("c1", () => sent.push("second"));
+
+      t.mock.timers.tick(149);
+      assert.deepEqual(sent, []);
+
+      t.mock.timers.tick(1);
+      assert.deepEqual(sent, ["first", "second"]);
+    });
+  });
+
+  it("forgets removed clients", () => {
+    const shaper = new NetworkShaper();
+    shaper.setProfile("c1", "3g");
+
+    shaper.removeClient("c1");
+    assert.equal(shaper.getProfile("c1"), null);
+  });
+});
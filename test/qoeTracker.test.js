@@ -0,0 +1,158 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const QoeTracker = require("../lib/qoeTracker");
+
+const LEVELS = ["low", "medium", "high"];
+
+function createTracker(options = {}) {
+  return new QoeTracker({ getLodLevels: () => LEVELS, ...options });
+}
+
+function report(fields = {}) {
+  return {
+    uptime: 10000,
+    timeToFirstRender: 800,
+    lodSwitches: 1,
+    stallTime: 200,
+    bytesReceived: 5000,
+    fps: { average: 60, min: 50, current: 58, samples: 10 },
+    lodTime: [{ assetId: "helmet", lod: "high", ms: 4000 }],
+    ...fields,
+  };
+}
+
+describe("QoeTracker", () => {
+  it("ignores reports for unknown sessions", () => {
+    const tracker = createTracker();
+
+    assert.equal(tracker.recordReport("nobody", report()), false);
+    assert.equal(tracker.getSession("nobody"), null);
+  });
+
+  it("summarizes the latest report with the server's view", () => {
+    const tracker = createTracker();
+    tracker.startSession("c1", "lobby");
+    tracker.recordBytesSent("c1", 1234);
+    tracker.recordReport("c1", report(), {
+      abrStrategy: "bola",
+      networkProfile: "3g",
+    });
+
+    const session = tracker.getSession("c1");
+    assert.equal(session.room, "lobby");
+    assert.equal(session.reports, 1);
+    assert.equal(session.qoe.stallTime, 200);
+    assert.equal(session.qoe.timeToFirstRender, 800);
+    assert.deepEqual(session.server, {
+      bytesSent: 1234,
+      abrStrategy: "bola",
+      networkProfile: "3g",
+    });
+  });
+
+  it("adds up page loads when a reload resumes the session", () => {
+    const tracker = createTracker();
+    tracker.startSession("c1", "lobby");
+    tracker.recordReport("c1", report());
+    tracker.recordReport(
+      "c1",
+      report({
+        uptime: 2000,
+        timeToFirstRender: 300,
+        stallTime: 50,
+        fps: { average: 30, min: 20, current: 30, samples: 10 },
+      }),
+    );
+
+    const qoe = tracker.getSession("c1").qoe;
+    assert.equal(qoe.stallTime, 250);
+    assert.equal(qoe.lodSwitches, 2);
+    assert.equal(qoe.timeToFirstRender, 800);
+    assert.deepEqual(qoe.fps, {
+      average: 45,
+      min: 20,
+      current: 30,
+      samples: 20,
+    });
+    assert.deepEqual(qoe.lodTime, [
+      { assetId: "helmet", lod: "high", ms: 8000 },
+    ]);
+  });
+
+  it("weighs the average LOD by time on screen", () => {
+    const tracker = createTracker();
+
+    assert.equal(
+      tracker.getAverageLod([
+        { assetId: "helmet", lod: "low", ms: 1000 },
+        { assetId: "helmet", lod: "high", ms: 3000 },
+      ]),
+      0.75,
+    );
+    assert.equal(tracker.getAverageLod([]), null);
+  });
+
+  it("drops malformed LOD time entries", () => {
+    const totals = createTracker().normalizeReport(
+      report({
+        lodTime: [
+          { assetId: "helmet", lod: "low", ms: 100 },
+          { assetId: "helmet", lod: "low", ms: -1 },
+          { assetId: 7, lod: "low", ms: 100 },
+        ],
+      }),
+    );
+
+    assert.deepEqual(totals.lodTime, [
+      { assetId: "helmet", lod: "low", ms: 100 },
+    ]);
+  });
+
+  it("keeps at most MAX_SAMPLES timeline entries", () => {
+    const tracker = createTracker();
+    tracker.startSession("c1", "lobby");
+    for (let i = 0; i <= QoeTracker.MAX_SAMPLES; i++) {
+      tracker.recordReport("c1", report({ uptime: 10000 + i }));
+    }
+
+    assert.equal(
+      tracker.getReport("c1").samples.length,
+      QoeTracker.MAX_SAMPLES,
+    );
+  });
+
+  it("follows the client into another room", () => {
+    const tracker = createTracker();
+    tracker.startSession("c1", "lobby");
+    tracker.setRoom("c1", "gallery");
+
+    assert.equal(tracker.getSession("c1").room, "gallery");
+  });
+
+  describe("session lifetime", () => {
+    it("drops an ended session after the retention period", (t) => {
+      t.mock.timers.enable({ apis: ["setTimeout"] });
+      const tracker = createTracker({ retention: 1000 });
+      tracker.startSession("c1", "lobby");
+      tracker.endSession("c1");
+
+      assert.notEqual(tracker.getSession("c1").endedAt, null);
+      t.mock.timers.tick(1000);
+      assert.equal(tracker.getSession("c1"), null);
+    });
+
+    it("keeps a session that reconnects before it expires", (t) => {
+      t.mock.timers.enable({ apis: ["setTimeout"] });
+      const tracker = createTracker({ retention: 1000 });
+      tracker.startSession("c1", "lobby");
+      tracker.endSession("c1");
+      tracker.startSession("c1", "lobby");
+
+      t.mock.timers.tick(1000);
+      const session = tracker.getSession("c1");
+      assert.equal(session.reconnects, 1);
+      assert.equal(session.endedAt, null);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const RateLimiter = require("../lib/rateLimiter");
+
+describe("RateLimiter", () => {
+  it("allows a burst, then throttles and notifies once per episode", (t) => {
+    t.mock.method(Date, "now", () => 1000);
+    const limiter = new RateLimiter({
+      limits: { ping: { rate: 2, burst: 3 } },
+    });
+
+    for (let i = 0; i < 3; i++) {
+      assert.equal(limiter.consume("c1", "ping").allowed, true);
+    }
+
+    const first = limiter.consume("c1", "ping");
+    assert.equal(first.allowed, false);
+    assert.equal(first.notify, true);
+    assert.equal(first.retryAfter, 500);
+
+    const second = limiter.consume("c1", "ping");
+    assert.equal(second.allowed, false);
+    assert.equal(second.notify, false);
+  });
+
+  it("refills buckets over time", (t) => {
+    let now = 1000;
+    t.mock.method(Date, "now", () => now);
+    const limiter = new RateLimiter({
+      limits: { ping: { rate: 2, burst: 1 } },
+    });
+
+    assert.equal(limiter.consume("c1", "ping").allowed, true);
+    assert.equal(limiter.consume("c1", "ping").allowed, false);
+
+    now += 500;
+    assert.equal(limiter.consume("c1", "ping").allowed, true);
+  });
+
+  it("keeps separate buckets per client", () => {
+    const limiter = new RateLimiter({
+      limits: { ping: { rate: 1, burst: 1 } },
+    });
+
+    assert.equal(limiter.consume("c1", "ping").allowed, true);
+    assert.equal(limiter.consume("c1", "ping").allowed, false);
+    assert.equal(limiter.consume("c2", "ping").allowed, true);
+  });
+
+  it("shares the default bucket between unknown types", () => {
+    const limiter = new RateLimiter({ limits: { default: { burst: 1 } } });
+
+    assert.equal(limiter.consume("c1", "mystery").allowed, true);
+    assert.equal(limiter.consume("c1", "other-mystery").allowed, false);
+  });
+
+  it("caps all messages of a client with the '*' bucket", () => {
+    const limiter = new RateLimiter({ limits: { "*": { burst: 2 } } });
+
+    assert.equal(limiter.consume("c1", "ping").allowed, true);
+    assert.equal(limiter.consume("c1", "signal").allowed, true);
+    assert.equal(limiter.consume("c1", "list_assets").allowed, false);
+  });
+
+  it("flags clients that keep sending while throttled", () => {
+    const limiter = new RateLimiter({
+      limits: { ping: { rate: 1, burst: 1 } },
+      maxViolations: 2,
+    });
+    limiter.consume("c1", "ping");
+
+    assert.equal(limiter.consume("c1", "ping").abusive, false);
+    assert.equal(limiter.consume("c1", "ping").abusive, false);
+    assert.equal(limiter.consume("c1", "ping").abusive, true);
+  });
+
+  it("forgets removed clients", () => {
+    const limiter = new RateLimiter({
+      limits: { ping: { rate: 1, burst: 1 } },
+    });
+    limiter.consume("c1", "ping");
+
+    limiter.removeClient("c1");
+    assert.equal(limiter.consume("c1", "ping").allowed, true);
+  });
+
+  describe("overrides", () => {
+    it("keeps the default burst when only the rate is overridden", () => {
+      const limiter = new RateLimiter({ limits: { ping: { rate: 4 } } });
+
+      assert.deepEqual(limiter.limits.ping, {
+        rate: 4,
+        burst: RateLimiter.DEFAULT_LIMITS.ping.burst,
+      });
+    });
+
+    it("starts types without a default quota from the default entry", () => {
+      const limiter = new RateLimiter({ limits: { custom: { rate: 3 } } });
+
+      assert.deepEqual(limiter.limits.custom, {
+        rate: 3,
+        burst: RateLimiter.DEFAULT_LIMITS.default.burst,
+      });
+    });
+
+    it("rejects rates and bursts that are not positive numbers", () => {
+      for (const limit of [{ rate: 0 }, { rate: -1 }, { burst: "20" }]) {
+        assert.throws(
+          () => new RateLimiter({ limits: { ping: limit } }),
+          /must be a positive number/,
+        );
+      }
+    });
+
+    it("rejects overrides that are not objects", () => {
+      assert.throws(
+        () => new RateLimiter({ limits: { ping: 5 } }),
+        /Rate limit for ping must be an object/,
+      );
+    });
+  });
+});
@@ -0,0 +1,41 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const ThroughputRule = require("../lib/throughputRule");
+
+// Rungs as built by AdaptiveStreamingManager.getLodLadder
+const LADDER = [
+  { lod: "low", bytes: 125000, bandwidth: 25000 },
+  { lod: "medium", bytes: 250000, bandwidth: 50000 },
+  { lod: "high", bytes: 3250000, bandwidth: 650000 },
+];
+
+function choose(rule, bandwidth) {
+  return rule.chooseLOD({
+    ladder: LADDER,
+    bandwidth: bandwidth,
+    queuedBytes: 0,
+    targetTimeToRenderMs: 5000,
+  });
+}
+
+describe("ThroughputRule", () => {
+  it("picks the largest LOD the bandwidth affords", () => {
+    const rule = new ThroughputRule();
+
+    assert.equal(choose(rule, 50000), "medium");
+    assert.equal(choose(rule, 649999), "medium");
+    assert.equal(choose(rule, 650000), "high");
+  });
+
+  it("falls back to the lowest LOD when nothing is affordable", () => {
+    assert.equal(choose(new ThroughputRule(), 1000), "low");
+  });
+
+  it("plans with a fraction of the bandwidth given a safety factor", () => {
+    const rule = new ThroughputRule({ safetyFactor: 0.5 });
+
+    assert.equal(choose(rule, 650000), "medium");
+    assert.equal(choose(rule, 1300000), "high");
+  });
+});